@@ -0,0 +1,132 @@
+// Activity metrics per epoch
+// Standard accelerometry figures, summed up per stream over fixed epochs
+// (1 s, 10 s and 60 s) - unlike the 0-5 motion level they can be compared
+// between sessions, devices and days:
+//   enmo   - Euclidean norm minus one g: mean of max(0, |a| - 1000 mg) (mg)
+//   jerk   - mean rate of change of the acceleration vector (mg/s)
+//   energy - signal energy: mean squared deviation from the epoch's mean
+//            acceleration vector (mg², the summed variance of X/Y/Z)
+//   counts - activity counts in the ActiGraph style: the magnitude band-passed
+//            to 0.25-2.5 Hz, rectified, minus a dead band, ~16.6 mg per count
+//            at 10 Hz. Comparable between our own sessions, not calibrated
+//            against ActiGraph devices.
+// Uses ButterworthFilter from filters.js (load it first).
+// Has no p5 dependency (loadable from Node like protocol.js).
+
+const ACTIVITY_EPOCHS = [1, 10, 60]; // Epoch lengths in seconds
+const ACTIVITY_HISTORY = 60; // Finished epochs kept per length
+const ACTIVITY_COUNT_BAND = [0.25, 2.5]; // Hz - human movement, no gravity or vibration
+const ACTIVITY_COUNT_DEADBAND = 17; // mg - below this the band-passed signal is noise
+const ACTIVITY_COUNT_UNIT = 16.64; // mg per count, per sample at 10 Hz
+const ACTIVITY_MAX_GAP = 1000; // ms - no jerk across a longer silence
+
+class ActivityMetrics {
+  constructor(epochs) {
+    this.epochs = (epochs || ACTIVITY_EPOCHS).map((seconds) => ({
+      seconds: seconds,
+      current: null, // Running sums of the epoch in progress
+      history: [], // Finished epochs, oldest first
+    }));
+    this.highpass = new ButterworthFilter({ cutoff: ACTIVITY_COUNT_BAND[0], rate: 20 }, true);
+    this.lowpass = new ButterworthFilter({ cutoff: ACTIVITY_COUNT_BAND[1], rate: 20 }, false);
+    this.last = null; // Previous sample { x, y, z, t }
+  }
+
+  // One sample (mg), t in ms, rate = measured sample rate (Hz, 0 if not known yet)
+  update(x, y, z, t, rate) {
+    rate = Math.round(rate) || 20;
+    this.highpass.params.rate = rate;
+    this.lowpass.params.rate = rate;
+
+    let magnitude = Math.sqrt(x * x + y * y + z * z);
+    let enmo = Math.max(0, magnitude - 1000);
+
+    let jerk = null;
+    if (this.last !== null && t > this.last.t && t - this.last.t <= ACTIVITY_MAX_GAP) {
+      let dx = x - this.last.x;
+      let dy = y - this.last.y;
+      let dz = z - this.last.z;
+      jerk = Math.sqrt(dx * dx + dy * dy + dz * dz) / ((t - this.last.t) / 1000);
+    }
+    this.last = { x: x, y: y, z: z, t: t };
+
+    let band = this.lowpass.process(this.highpass.process(magnitude));
+    let counts = (Math.max(0, Math.abs(band) - ACTIVITY_COUNT_DEADBAND) / ACTIVITY_COUNT_UNIT) * (10 / rate);
+
+    for (let epoch of this.epochs) {
+      this.addToEpoch(epoch, x, y, z, t, enmo, jerk, counts);
+    }
+  }
+
+  addToEpoch(epoch, x, y, z, t, enmo, jerk, counts) {
+    let current = epoch.current;
+
+    // Epoch over (or the sender's clock went back) - close it, start the next
+    if (current !== null && (t - current.start >= epoch.seconds * 1000 || t < current.start)) {
+      if (t >= current.start) {
+        epoch.history.push(this.finishEpoch(current, epoch.seconds));
+        if (epoch.history.length > ACTIVITY_HISTORY) {
+          epoch.history.shift();
+        }
+      }
+      current = null;
+    }
+    if (current === null) {
+      current = epoch.current = {
+        start: t,
+        samples: 0,
+        enmo: 0,
+        jerk: 0,
+        jerkSamples: 0,
+        sumX: 0,
+        sumY: 0,
+        sumZ: 0,
+        sumSquares: 0,
+        counts: 0,
+      };
+    }
+
+    current.samples++;
+    current.enmo += enmo;
+    if (jerk !== null) {
+      current.jerk += jerk;
+      current.jerkSamples++;
+    }
+    current.sumX += x;
+    current.sumY += y;
+    current.sumZ += z;
+    current.sumSquares += x * x + y * y + z * z;
+    current.counts += counts;
+  }
+
+  finishEpoch(current, seconds) {
+    let n = current.samples;
+    let meanSquare = (current.sumX * current.sumX + current.sumY * current.sumY + current.sumZ * current.sumZ) / (n * n);
+    return {
+      start: current.start,
+      seconds: seconds,
+      samples: n,
+      enmo: current.enmo / n,
+      jerk: current.jerkSamples > 0 ? current.jerk / current.jerkSamples : 0,
+      energy: Math.max(0, current.sumSquares / n - meanSquare),
+      counts: current.counts,
+    };
+  }
+
+  // Finished epochs of one length (oldest first)
+  getHistory(seconds) {
+    let epoch = this.epochs.find((e) => e.seconds === seconds);
+    return epoch ? epoch.history : [];
+  }
+
+  // Latest finished epoch of one length, or null
+  getLatest(seconds) {
+    let history = this.getHistory(seconds);
+    return history.length > 0 ? history[history.length - 1] : null;
+  }
+}
+
+// Allow `require("./activityMetrics.js")` from Node (no effect in the browser)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ACTIVITY_EPOCHS, ActivityMetrics };
+}
@@ -0,0 +1,213 @@
+// Serial-to-WebSocket bridge (Node.js)
+// Reads the receiver micro:bit's serial port - or a recorded session file -
+// and rebroadcasts it to every connected browser over a local WebSocket.
+// Sketches connect with 'W' or ?ws=ws://localhost:8765 (see inputSources.js),
+// so Firefox/Safari and any number of tabs can watch the same live data.
+//
+// Setup:  npm install                         (serialport and ws, see package.json)
+// Usage:  node bridge.js                       (first micro:bit found)
+//         node bridge.js --port /dev/ttyACM0   (or COM3 on Windows)
+//         node bridge.js --file session.jsonl [--speed 2] [--loop]   (speeds 1, 2, 5, 10)
+//         node bridge.js --list                (show serial ports)
+// Options: --baud 115200, --ws 8765 (WebSocket port)
+//          --host 0.0.0.0 (listen on the network - by default only this
+//          computer can connect, as clients can send commands to the devices)
+//          --origin http://lab.example:8000 (also accept pages from there -
+//          comma-separated; local pages and file:// are always accepted)
+//
+// Serial bytes are forwarded untouched as binary messages (text lines and
+// binary frames alike); replayed lines are sent as text. Command lines from
+// the browsers ("@<target> <command>") are written back to the receiver.
+
+const { SerialPort } = require("serialport");
+const { WebSocketServer, WebSocket } = require("ws");
+const fs = require("fs");
+const { SessionReplay, parseSessionFile } = require("./recorder.js");
+
+const MICROBIT_VENDOR_ID = "0d28"; // Arm mbed DAPLink (micro:bit USB interface)
+const SERIAL_RETRY_MS = 2000;
+const REPLAY_TICK_MS = 10;
+const DEFAULT_HOST = "127.0.0.1"; // Local only unless --host says otherwise
+const LOCAL_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/; // Pages served from this computer
+
+// --name value / --flag command line options
+function parseArgs(argv) {
+  let args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) continue;
+    let name = argv[i].slice(2);
+    let next = argv[i + 1];
+    if (next !== undefined && !next.startsWith("--")) {
+      args[name] = next;
+      i++;
+    } else {
+      args[name] = true;
+    }
+  }
+  return args;
+}
+
+let args = parseArgs(process.argv.slice(2));
+let baudRate = parseInt(args.baud) || 115200;
+let wsPort = parseInt(args.ws) || 8765;
+let wsHost = typeof args.host === "string" ? args.host : DEFAULT_HOST;
+let extraOrigins = typeof args.origin === "string" ? args.origin.split(",").map((o) => o.trim()) : [];
+let serial = null;
+
+// WebSocket server - every client gets every message
+let server = null;
+
+// Browsers send the page's origin, so any web site open in the browser
+// could otherwise connect and send commands to the devices. Local pages,
+// file:// ("null") and --origin ones may; other programs send no origin.
+function isAllowedOrigin(origin) {
+  if (origin === undefined || origin === "null") return true;
+  return LOCAL_ORIGIN.test(origin) || extraOrigins.includes(origin);
+}
+
+function startServer() {
+  server = new WebSocketServer({
+    host: wsHost,
+    port: wsPort,
+    verifyClient: (info) => {
+      if (isAllowedOrigin(info.origin)) return true;
+      console.log(`⚠️ Refused a client from ${info.origin} (allow it with --origin)`);
+      return false;
+    },
+  });
+  server.on("error", (err) => {
+    if (err.code === "EADDRINUSE") {
+      console.log(`⚠️ Port ${wsPort} is already in use - is another bridge running? Choose another with --ws`);
+    } else {
+      console.log(`⚠️ WebSocket server error: ${err.message}`);
+    }
+    process.exit(1);
+  });
+  server.on("listening", () => {
+    console.log(`🌐 WebSocket on ws://${wsHost}:${wsPort}`);
+    if (wsHost !== DEFAULT_HOST) {
+      console.log("⚠️ Listening on the network - every client can send commands to the devices");
+    }
+  });
+  server.on("connection", (client, request) => {
+    console.log(`➕ Client connected (${request.socket.remoteAddress}) - ${server.clients.size} total`);
+    client.on("message", (data) => handleClientMessage(data.toString()));
+    client.on("close", () => console.log(`➖ Client left - ${server.clients.size} total`));
+  });
+}
+
+function broadcast(data) {
+  for (let client of server.clients) {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(data);
+    }
+  }
+}
+
+// Commands for the devices - only "@..." lines reach the receiver
+function handleClientMessage(text) {
+  for (let line of text.split(/\r?\n/)) {
+    if (!line.startsWith("@")) continue;
+    if (serial && serial.isOpen) {
+      serial.write(line + "\n");
+      console.log(`➡️ ${line}`);
+    } else {
+      console.log(`Not connected to a receiver - dropped "${line}"`);
+    }
+  }
+}
+
+// Serial ports on this machine ([] if they can't be listed)
+async function listPorts() {
+  try {
+    return await SerialPort.list();
+  } catch (err) {
+    console.log(`Can't list serial ports: ${err.message}`);
+    return [];
+  }
+}
+
+// Serial port path from --port, or the first micro:bit found
+async function findPort() {
+  if (typeof args.port === "string") return args.port;
+  let ports = await listPorts();
+  let microbit = ports.find((p) => (p.vendorId || "").toLowerCase() === MICROBIT_VENDOR_ID);
+  return microbit ? microbit.path : null;
+}
+
+async function openSerial() {
+  let path = await findPort();
+  if (!path) {
+    console.log("No micro:bit found - retrying (use --port to choose one, --list to see all)");
+    setTimeout(openSerial, SERIAL_RETRY_MS);
+    return;
+  }
+
+  let port = new SerialPort({ path: path, baudRate: baudRate });
+  serial = port;
+  port.on("open", () => console.log(`🔌 Serial ${path} @ ${baudRate}`));
+  port.on("data", (bytes) => broadcast(bytes));
+  port.on("error", (err) => {
+    console.log(`Serial error: ${err.message}`);
+    // Failed to open (busy, unplugged...) - no "close" follows, so retry here
+    if (!port.isOpen && serial === port) {
+      serial = null;
+      setTimeout(openSerial, SERIAL_RETRY_MS);
+    }
+  });
+  port.on("close", () => {
+    console.log("Serial port closed - reconnecting...");
+    serial = null;
+    setTimeout(openSerial, SERIAL_RETRY_MS);
+  });
+}
+
+// Play a recorded session with its original timing
+function replayFile(file) {
+  let entries = parseSessionFile(fs.readFileSync(file, "utf8"));
+  if (entries.length === 0) {
+    console.log(`No lines in ${file}`);
+    process.exit(1);
+  }
+
+  let speed = parseFloat(args.speed) || 1;
+  let replay = new SessionReplay(entries, file);
+  replay.setSpeed(speed);
+  console.log(`▶ Replaying ${entries.length} lines from ${file} at ${replay.getSpeed()}x${args.loop ? " (looping)" : ""}`);
+
+  let timer = setInterval(() => {
+    let lines = replay.update();
+    if (lines.length > 0) {
+      broadcast(lines.join("\n") + "\n");
+    }
+    if (replay.isDone()) {
+      if (args.loop) {
+        replay = new SessionReplay(entries, file);
+        replay.setSpeed(speed);
+      } else {
+        console.log("■ Replay finished");
+        clearInterval(timer);
+      }
+    }
+  }, REPLAY_TICK_MS);
+}
+
+async function main() {
+  if (args.list) {
+    let ports = await listPorts();
+    for (let p of ports) {
+      let tag = (p.vendorId || "").toLowerCase() === MICROBIT_VENDOR_ID ? "  <- micro:bit" : "";
+      console.log(`${p.path}  ${p.manufacturer || ""}${tag}`);
+    }
+    return;
+  }
+
+  startServer();
+  if (typeof args.file === "string") {
+    replayFile(args.file);
+  } else {
+    openSerial();
+  }
+}
+
+main();
@@ -0,0 +1,83 @@
+// Background drift tracking ("auto-calibration")
+// Watches a calibrated stream for windows where the device is held still and
+// then nudges the calibration baseline (and noise estimate) towards what it
+// reads now, so a device that was put down in a new position settles back to
+// STILL without pressing 'C'. Fed one call per raw sample.
+// Has no p5 dependency (loadable from Node like protocol.js).
+
+const DRIFT_WINDOW = 60; // Samples per stillness window (3 s at 20 Hz, same as calibration)
+const DRIFT_STILL_NOISE = 100; // mg - combined standard deviation below this counts as still
+const DRIFT_RATE = 0.3; // Fraction of the way the baseline moves per still window
+const DRIFT_REPORT_MIN = 25; // mg - smaller adjustments aren't reported (normal noise)
+
+class DriftTracker {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.window = [];
+    this.lastAdjustment = null; // { time, shift } of the last reported adjustment
+    this.adjustments = 0;
+  }
+
+  // Add one sample (mg). Returns the mean and noise of a window in which the
+  // device was still ({ x, y, z, stdX, stdY, stdZ, noise }), or null.
+  // Windows don't overlap, and one with any movement is simply dropped.
+  add(x, y, z) {
+    this.window.push({ x: x, y: y, z: z });
+    if (this.window.length < DRIFT_WINDOW) return null;
+
+    let samples = this.window;
+    this.window = [];
+
+    let stats = {};
+    for (let axis of ["x", "y", "z"]) {
+      let mean = samples.reduce((sum, s) => sum + s[axis], 0) / samples.length;
+      let variance = samples.reduce((sum, s) => sum + Math.pow(s[axis] - mean, 2), 0) / samples.length;
+      stats[axis] = mean;
+      stats["std" + axis.toUpperCase()] = Math.sqrt(variance);
+    }
+    stats.noise = Math.sqrt(stats.stdX * stats.stdX + stats.stdY * stats.stdY + stats.stdZ * stats.stdZ);
+
+    return stats.noise < DRIFT_STILL_NOISE ? stats : null;
+  }
+
+  // Move `value` (a baseline or noise figure) part of the way to `target`
+  blend(value, target) {
+    return value + (target - value) * DRIFT_RATE;
+  }
+
+  // Move a baseline { x, y, z } towards a still window's mean. Returns the
+  // new baseline; adjustments of DRIFT_REPORT_MIN or more are remembered.
+  adjust(base, still, now) {
+    if (now === undefined) now = Date.now();
+    let next = {
+      x: this.blend(base.x, still.x),
+      y: this.blend(base.y, still.y),
+      z: this.blend(base.z, still.z),
+    };
+    let shift = Math.sqrt(
+      Math.pow(next.x - base.x, 2) + Math.pow(next.y - base.y, 2) + Math.pow(next.z - base.z, 2)
+    );
+    if (shift >= DRIFT_REPORT_MIN) {
+      this.lastAdjustment = { time: now, shift: shift };
+      this.adjustments++;
+    }
+    return next;
+  }
+
+  // e.g. "↻ 120mg 12s ago", or null if the baseline hasn't been moved
+  describe(now) {
+    if (this.lastAdjustment === null) return null;
+    if (now === undefined) now = Date.now();
+    let seconds = Math.floor((now - this.lastAdjustment.time) / 1000);
+    let ago = seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m`;
+    return `↻ ${this.lastAdjustment.shift.toFixed(0)}mg ${ago} ago`;
+  }
+}
+
+// Allow `require("./driftTracker.js")` from Node (no effect in the browser)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { DRIFT_WINDOW, DriftTracker };
+}
@@ -0,0 +1,483 @@
+// Filter pipeline
+// A chain of filter stages applied to each stream's X/Y/Z samples, with the
+// parameters editable at runtime (see the filter editor in sketchGraphs.js).
+// A chain is described by a plain config, e.g.
+//   [{ type: "median", params: { window: 5 } }, { type: "ema", params: { alpha: 0.2 } }]
+// so it can be saved, shared between sketches and restored.
+// Has no p5 dependency (loadable from Node like protocol.js).
+//
+// Stages (every stage keeps its own state per axis):
+//   median   - median of the last `window` samples (kills single-sample spikes)
+//   average  - moving average of the last `window` samples
+//   ema      - exponential moving average, `alpha` 0-1 (1 = no smoothing)
+//   lowpass  - 2nd order Butterworth low-pass, `cutoff` Hz at `rate` Hz
+//   highpass - 2nd order Butterworth high-pass (removes gravity/offsets)
+//   oneEuro  - 1€ filter: smooth when still, responsive when moving
+//   kalman   - 1D Kalman, `q` process noise vs `r` measurement noise
+//
+// OutlierRejector runs before all of this in the motion monitor: it drops
+// single-sample spikes (corrupted radio packets) and counts them.
+
+const FILTER_STORAGE_KEY = "oskarbit-filters";
+
+// Stage types with their parameters: default value, range and how the
+// editor changes them (`step` adds, `factor` multiplies)
+const FILTER_TYPES = {
+  median: {
+    label: "Median",
+    params: { window: { value: 5, min: 3, max: 31, step: 2 } },
+  },
+  average: {
+    label: "Moving average",
+    params: { window: { value: 5, min: 2, max: 50, step: 1 } },
+  },
+  ema: {
+    label: "EMA",
+    params: { alpha: { value: 0.2, min: 0.01, max: 1, step: 0.01 } },
+  },
+  lowpass: {
+    label: "Butterworth low-pass",
+    params: {
+      cutoff: { value: 3, min: 0.1, max: 50, step: 0.1 },
+      rate: { value: 20, min: 1, max: 200, step: 1 },
+    },
+  },
+  highpass: {
+    label: "Butterworth high-pass",
+    params: {
+      cutoff: { value: 0.5, min: 0.05, max: 50, step: 0.05 },
+      rate: { value: 20, min: 1, max: 200, step: 1 },
+    },
+  },
+  oneEuro: {
+    label: "1€ filter",
+    params: {
+      minCutoff: { value: 1, min: 0.01, max: 20, factor: 1.25 },
+      beta: { value: 0.007, min: 0.0001, max: 1, factor: 1.5 },
+      dCutoff: { value: 1, min: 0.1, max: 20, factor: 1.25 },
+    },
+  },
+  kalman: {
+    label: "Kalman",
+    params: {
+      q: { value: 1, min: 0.001, max: 10000, factor: 1.5 },
+      r: { value: 100, min: 0.01, max: 100000, factor: 1.5 },
+    },
+  },
+};
+
+const FILTER_TYPE_NAMES = Object.keys(FILTER_TYPES);
+
+// Outlier rejection (centred Hampel filter, see OutlierRejector)
+const OUTLIER_HALF_WINDOW = 2; // Samples either side - the output lags by this many samples
+const OUTLIER_SIGMAS = 3; // Reject beyond 3 robust standard deviations...
+const OUTLIER_MIN_JUMP = 300; // ...and never for jumps under 300 mg (sensor noise)
+const OUTLIER_RANGE = 4100; // mg - readings beyond the ±4 g sensor range are always corrupt
+const OUTLIER_RATE_SMOOTHING = 0.01; // Recent reject rate averages over ~100 samples
+const OUTLIER_WARN_RATE = 0.02; // More than 2% of samples rejected = noisy hardware or link
+
+class MedianFilter {
+  constructor(params) {
+    this.params = params;
+    this.values = [];
+  }
+
+  process(value) {
+    this.values.push(value);
+    while (this.values.length > this.params.window) {
+      this.values.shift();
+    }
+    let sorted = this.values.slice().sort((a, b) => a - b);
+    let mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  reset() {
+    this.values = [];
+  }
+}
+
+class MovingAverageFilter {
+  constructor(params) {
+    this.params = params;
+    this.values = [];
+  }
+
+  process(value) {
+    this.values.push(value);
+    while (this.values.length > this.params.window) {
+      this.values.shift();
+    }
+    return this.values.reduce((a, b) => a + b, 0) / this.values.length;
+  }
+
+  reset() {
+    this.values = [];
+  }
+}
+
+class EmaFilter {
+  constructor(params) {
+    this.params = params;
+    this.value = null;
+  }
+
+  process(value) {
+    this.value = this.value === null ? value : this.value + (value - this.value) * this.params.alpha;
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+  }
+}
+
+// 2nd order Butterworth (biquad, Q = 1/sqrt(2)). Coefficients are worked
+// out again whenever cutoff/rate change.
+class ButterworthFilter {
+  constructor(params, highpass) {
+    this.params = params;
+    this.highpass = highpass;
+    this.designed = null;
+    this.reset();
+  }
+
+  design() {
+    let rate = this.params.rate;
+    let cutoff = Math.min(this.params.cutoff, rate * 0.45); // Stay below Nyquist
+    let w0 = (2 * Math.PI * cutoff) / rate;
+    let cosW = Math.cos(w0);
+    let alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    let a0 = 1 + alpha;
+
+    let b = this.highpass
+      ? [(1 + cosW) / 2, -(1 + cosW), (1 + cosW) / 2]
+      : [(1 - cosW) / 2, 1 - cosW, (1 - cosW) / 2];
+    this.b0 = b[0] / a0;
+    this.b1 = b[1] / a0;
+    this.b2 = b[2] / a0;
+    this.a1 = (-2 * cosW) / a0;
+    this.a2 = (1 - alpha) / a0;
+    this.designed = `${this.params.cutoff}/${rate}`;
+  }
+
+  process(value) {
+    if (this.designed !== `${this.params.cutoff}/${this.params.rate}`) {
+      this.design();
+    }
+
+    // Start from steady state so the first samples don't ring
+    if (this.x1 === null) {
+      this.x1 = this.x2 = value;
+      this.y1 = this.y2 = this.highpass ? 0 : value;
+    }
+
+    let y = this.b0 * value + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+    this.x2 = this.x1;
+    this.x1 = value;
+    this.y2 = this.y1;
+    this.y1 = y;
+    return y;
+  }
+
+  reset() {
+    this.x1 = this.x2 = this.y1 = this.y2 = null;
+  }
+}
+
+// 1€ filter (Casiez et al. 2012) - cutoff rises with the speed of change
+class OneEuroFilter {
+  constructor(params) {
+    this.params = params;
+    this.reset();
+  }
+
+  alpha(cutoff, dt) {
+    let tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  // t = sample time in ms (sender time when available)
+  process(value, t) {
+    if (this.value === null) {
+      this.value = value;
+      this.lastT = t;
+      return value;
+    }
+
+    let dt = (t - this.lastT) / 1000;
+    if (!(dt > 0)) dt = 0.05; // No usable timestamp - assume 20 Hz
+    this.lastT = t;
+
+    let speed = (value - this.lastRaw) / dt;
+    this.speed += (speed - this.speed) * this.alpha(this.params.dCutoff, dt);
+    let cutoff = this.params.minCutoff + this.params.beta * Math.abs(this.speed);
+    this.value += (value - this.value) * this.alpha(cutoff, dt);
+    this.lastRaw = value;
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+    this.lastRaw = 0;
+    this.speed = 0;
+    this.lastT = 0;
+  }
+}
+
+// Constant-value Kalman filter - a steadier EMA that adapts its gain
+class KalmanFilter {
+  constructor(params) {
+    this.params = params;
+    this.reset();
+  }
+
+  process(value) {
+    if (this.value === null) {
+      this.value = value;
+      this.p = this.params.r;
+      return value;
+    }
+    this.p += this.params.q;
+    let gain = this.p / (this.p + this.params.r);
+    this.value += gain * (value - this.value);
+    this.p *= 1 - gain;
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+    this.p = 0;
+  }
+}
+
+function createFilterStage(type, params) {
+  if (type === "median") return new MedianFilter(params);
+  if (type === "average") return new MovingAverageFilter(params);
+  if (type === "ema") return new EmaFilter(params);
+  if (type === "lowpass") return new ButterworthFilter(params, false);
+  if (type === "highpass") return new ButterworthFilter(params, true);
+  if (type === "oneEuro") return new OneEuroFilter(params);
+  if (type === "kalman") return new KalmanFilter(params);
+  return null;
+}
+
+// A parameter value within its range - windows are whole samples, median
+// windows odd. Anything that isn't a number gets the default.
+function clampFilterParam(type, name, value) {
+  let spec = FILTER_TYPES[type].params[name];
+  if (typeof value !== "number" || !isFinite(value)) return spec.value;
+  value = Math.min(spec.max, Math.max(spec.min, value));
+  if (name === "window") value = Math.round(value);
+  if (type === "median" && value % 2 === 0) value++; // Median windows stay odd
+  return value;
+}
+
+// Default params for a stage type, overridden by `params` (clamped like the editor's)
+function filterParams(type, params) {
+  let result = {};
+  for (let name in FILTER_TYPES[type].params) {
+    result[name] = clampFilterParam(type, name, params ? params[name] : undefined);
+  }
+  return result;
+}
+
+// Filter chain for the three axes of one stream
+class FilterPipeline {
+  constructor(config) {
+    this.setConfig(config || []);
+  }
+
+  // Replace the whole chain (unknown stage types are skipped)
+  setConfig(config) {
+    this.stages = [];
+    for (let stage of config) {
+      if (stage && FILTER_TYPES[stage.type]) {
+        this.addStage(stage.type, stage.params);
+      }
+    }
+  }
+
+  // Plain copy of the chain, for saving or applying to other streams
+  getConfig() {
+    return this.stages.map((stage) => ({ type: stage.type, params: Object.assign({}, stage.params) }));
+  }
+
+  addStage(type, params) {
+    // The three axes share one params object, so edits apply to all of them
+    let shared = filterParams(type, params);
+    this.stages.push({
+      type: type,
+      params: shared,
+      axes: [createFilterStage(type, shared), createFilterStage(type, shared), createFilterStage(type, shared)],
+    });
+  }
+
+  removeStage(index) {
+    this.stages.splice(index, 1);
+  }
+
+  // Set one parameter (clamped to its range)
+  setParam(index, name, value) {
+    let stage = this.stages[index];
+    if (!stage || !(name in stage.params)) return;
+    stage.params[name] = clampFilterParam(stage.type, name, value);
+  }
+
+  // Step a parameter up (direction 1) or down (-1)
+  adjustParam(index, name, direction) {
+    let stage = this.stages[index];
+    if (!stage) return;
+    let spec = FILTER_TYPES[stage.type].params[name];
+    let value = stage.params[name];
+    if (spec.factor) {
+      value = direction > 0 ? value * spec.factor : value / spec.factor;
+    } else {
+      value = Math.round((value + direction * spec.step) / spec.step) * spec.step;
+    }
+    this.setParam(index, name, Number(value.toPrecision(4)));
+  }
+
+  // Set a parameter on every stage of one type (e.g. the EMA alpha)
+  setTypeParam(type, name, value) {
+    for (let i = 0; i < this.stages.length; i++) {
+      if (this.stages[i].type === type) {
+        this.setParam(i, name, value);
+      }
+    }
+  }
+
+  // Filter one sample, t = sample time in ms
+  process(x, y, z, t) {
+    if (t === undefined) t = Date.now();
+    let values = [x, y, z];
+    for (let stage of this.stages) {
+      for (let axis = 0; axis < 3; axis++) {
+        values[axis] = stage.axes[axis].process(values[axis], t);
+      }
+    }
+    return { x: values[0], y: values[1], z: values[2] };
+  }
+
+  reset() {
+    for (let stage of this.stages) {
+      for (let axisFilter of stage.axes) {
+        axisFilter.reset();
+      }
+    }
+  }
+
+  // High-pass output is centred on 0 instead of the raw level
+  removesOffset() {
+    return this.stages.some((stage) => stage.type === "highpass");
+  }
+
+  // Short text, e.g. "Median(5) → EMA(0.2)"
+  describe() {
+    if (this.stages.length === 0) return "none";
+    return this.stages
+      .map((stage) => `${FILTER_TYPES[stage.type].label}(${Object.values(stage.params).join(", ")})`)
+      .join(" → ");
+  }
+}
+
+function median(values) {
+  let sorted = values.slice().sort((a, b) => a - b);
+  let mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Single-sample spike rejection for X/Y/Z samples. Each sample is judged
+// against the samples either side of it (centred Hampel filter): it is an
+// outlier when it is further from the window's median than OUTLIER_SIGMAS
+// robust standard deviations (MAD x 1.4826) and OUTLIER_MIN_JUMP. An outlier
+// axis is replaced by the median. Real motion rarely moves one sample on its
+// own, so a jump shared with a neighbour (e.g. a 2-sample impact) is kept.
+class OutlierRejector {
+  constructor() {
+    this.reset();
+  }
+
+  // Returns the (cleaned) sample from OUTLIER_HALF_WINDOW samples ago,
+  // or null while the window is still filling
+  process(x, y, z) {
+    this.window.push([x, y, z]);
+    let size = OUTLIER_HALF_WINDOW * 2 + 1;
+    if (this.window.length > size) this.window.shift();
+    if (this.window.length < size) return null;
+
+    let center = this.window[OUTLIER_HALF_WINDOW].slice();
+    let rejected = false;
+    for (let axis = 0; axis < 3; axis++) {
+      let values = this.window.map((sample) => sample[axis]);
+      let mid = median(values);
+      let mad = median(values.map((v) => Math.abs(v - mid)));
+      let limit = Math.max(OUTLIER_MIN_JUMP, OUTLIER_SIGMAS * 1.4826 * mad);
+
+      let deviation = center[axis] - mid;
+      let sign = Math.sign(deviation);
+      let before = (values[OUTLIER_HALF_WINDOW - 1] - mid) * sign;
+      let after = (values[OUTLIER_HALF_WINDOW + 1] - mid) * sign;
+      let spike = Math.abs(deviation) > limit && before <= limit && after <= limit;
+
+      if (spike || Math.abs(center[axis]) > OUTLIER_RANGE) {
+        center[axis] = mid;
+        rejected = true;
+      }
+    }
+
+    this.total++;
+    if (rejected) this.rejected++;
+    this.recentRate += ((rejected ? 1 : 0) - this.recentRate) * OUTLIER_RATE_SMOOTHING;
+    return { x: center[0], y: center[1], z: center[2], rejected: rejected };
+  }
+
+  // Fraction of recent samples that were rejected (0-1)
+  getRecentRate() {
+    return this.recentRate;
+  }
+
+  // Rejecting so many samples that the device (or its radio link) is suspect
+  isNoisy() {
+    return this.recentRate > OUTLIER_WARN_RATE;
+  }
+
+  reset() {
+    this.window = [];
+    this.total = 0;
+    this.rejected = 0;
+    this.recentRate = 0;
+  }
+}
+
+// Saved chain config (shared by every sketch in this browser), or `fallback`
+function loadFilterConfig(fallback) {
+  if (typeof localStorage === "undefined") return fallback;
+  try {
+    let saved = JSON.parse(localStorage.getItem(FILTER_STORAGE_KEY));
+    return Array.isArray(saved) ? saved : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function saveFilterConfig(config) {
+  if (typeof localStorage === "undefined") return;
+  localStorage.setItem(FILTER_STORAGE_KEY, JSON.stringify(config));
+}
+
+// Allow `require("./filters.js")` from Node (no effect in the browser)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    FILTER_TYPES,
+    FILTER_TYPE_NAMES,
+    MedianFilter,
+    MovingAverageFilter,
+    EmaFilter,
+    ButterworthFilter,
+    OneEuroFilter,
+    KalmanFilter,
+    FilterPipeline,
+    OutlierRejector,
+  };
+}
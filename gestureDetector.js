@@ -0,0 +1,250 @@
+// Gesture events
+// Turns a stream's samples into discrete, timestamped events - shake,
+// double tap, sharp tilt left / right / forward / back, free-fall and the
+// landing impact after it - for driving interactions (the continuous motion
+// level can't say "the device was just tapped twice").
+//
+// Jolts are measured as the acceleration magnitude above the device's resting
+// magnitude (1 g), so they work in any orientation. Every threshold is the
+// higher of a fixed floor and a multiple of the stream's calibration noise,
+// so a noisy device doesn't fire events on its own. Tilts are measured
+// against the rest orientation (the calibration baseline) with computeTilt()
+// from orientation.js (load it first).
+// Has no p5 dependency (loadable from Node like protocol.js).
+
+const GESTURE_LABELS = {
+  shake: "Shake",
+  "double-tap": "Double tap",
+  "tilt-left": "Tilt left",
+  "tilt-right": "Tilt right",
+  "tilt-forward": "Tilt forward",
+  "tilt-back": "Tilt back",
+  "free-fall": "Free-fall",
+  landing: "Landing",
+};
+
+// Thresholds: mg above 1 g, factor x calibration noise but within floor..cap
+// (a calibration taken while moving mustn't switch the gestures off)
+const GESTURE_TAP = { floor: 500, factor: 10, cap: 1500 }; // A tap's jolt
+const GESTURE_SHAKE = { floor: 700, factor: 12, cap: 2000 }; // Each jolt of a shake
+const GESTURE_IMPACT = { floor: 1500, factor: 20, cap: 2500 }; // Landing after a free-fall
+const GESTURE_FREEFALL = { floor: 400, factor: 4, cap: 600 }; // mg total - below this the device is falling
+const GESTURE_TILT_GATE = { floor: 300, factor: 5, cap: 600 }; // mg off 1 g - tilt only read while not jolted
+
+const GESTURE_TAP_MAX = 150; // ms - a longer jolt isn't a tap
+const GESTURE_TAP_QUIET = 300; // ms of quiet before the first tap
+const GESTURE_DOUBLE_TAP_WINDOW = 500; // ms between the two taps, at most
+const GESTURE_DOUBLE_TAP_CONFIRM = 300; // ms of quiet after the second tap (a third one = no double tap)
+const GESTURE_SHAKE_JOLTS = 4; // Jolts within GESTURE_SHAKE_WINDOW make a shake
+const GESTURE_SHAKE_WINDOW = 1000; // ms
+const GESTURE_TILT_ANGLE = 40; // Degrees from the rest orientation
+const GESTURE_TILT_TIME = 600; // ms - reached faster than this from under half the angle = sharp
+const GESTURE_TILT_SETTLE = 200; // ms after a jolt before tilts are read again (shaking isn't tilting)
+const GESTURE_FREEFALL_MIN = 100; // ms below the free-fall threshold before it counts
+const GESTURE_LANDING_WINDOW = 1000; // ms after the fall for the landing impact
+const GESTURE_COOLDOWN = 1000; // ms before the same event can fire again
+
+class GestureDetector {
+  constructor() {
+    this.rest = null; // Rest orientation { x, y, z, magnitude, pitch, roll }
+    this.reset();
+  }
+
+  reset() {
+    this.lastTime = null;
+    this.lastFired = {}; // Key: event type, Value: time
+    this.lastLoudTime = -Infinity; // Last sample above half the tap threshold
+    this.lastJoltTime = -Infinity; // Last sample too far off 1 g to read the tilt
+    this.burst = null; // { start, last, quietBefore } of the jolt in progress
+    this.taps = []; // End times of recent taps
+    this.pendingDoubleTap = null; // Time of the second tap, waiting for quiet
+    this.shakeHigh = false;
+    this.shakeJolts = []; // Times of recent shake jolts
+    this.tiltArmed = true;
+    this.tiltLowTime = null; // Last time the tilt was under half the angle
+    this.fall = null; // { start, end, reported } of the current / last free-fall
+  }
+
+  // Rest orientation (mg) - tilts are measured from here. Call on calibration.
+  setRest(x, y, z) {
+    let tilt = computeTilt(x, y, z);
+    this.rest = { x: x, y: y, z: z, magnitude: Math.sqrt(x * x + y * y + z * z), pitch: tilt.pitch, roll: tilt.roll };
+  }
+
+  // Thresholds (mg) for a stream with this calibration noise
+  getThresholds(noise) {
+    let scale = (t) => Math.min(t.cap, Math.max(t.floor, (noise || 0) * t.factor));
+    return {
+      tap: scale(GESTURE_TAP),
+      shake: scale(GESTURE_SHAKE),
+      impact: scale(GESTURE_IMPACT),
+      freefall: scale(GESTURE_FREEFALL),
+      tiltGate: scale(GESTURE_TILT_GATE),
+    };
+  }
+
+  // One sample (mg), t in ms, noise = calibration noise (mg).
+  // Returns the events it completes ([] most of the time).
+  update(x, y, z, t, noise) {
+    // Sender restarted (its clock went back) - forget half-seen gestures
+    if (this.lastTime !== null && t < this.lastTime) {
+      this.reset();
+    }
+    this.lastTime = t;
+    if (this.rest === null) this.setRest(x, y, z);
+
+    let limits = this.getThresholds(noise);
+    let magnitude = Math.sqrt(x * x + y * y + z * z);
+    let jolt = magnitude - this.rest.magnitude;
+    let events = [];
+
+    this.updateFall(magnitude, jolt, t, limits, events);
+
+    // Taps and shakes are ignored around a fall (the landing is one big jolt)
+    if (this.fall === null || t - this.fall.start > GESTURE_LANDING_WINDOW * 2) {
+      this.updateTaps(jolt, t, limits, events);
+      this.updateShake(jolt, t, limits, events);
+    }
+    if (Math.abs(jolt) >= limits.tiltGate) {
+      this.lastJoltTime = t;
+    } else if (t - this.lastJoltTime >= GESTURE_TILT_SETTLE) {
+      this.updateTilt(x, y, z, t, events);
+    }
+    return events;
+  }
+
+  // Fire an event unless the same one fired within the cooldown
+  fire(events, type, t, detail) {
+    if (this.lastFired[type] !== undefined && t - this.lastFired[type] < GESTURE_COOLDOWN) return;
+    this.lastFired[type] = t;
+    events.push({ type: type, time: t, detail: detail || "" });
+  }
+
+  updateFall(magnitude, jolt, t, limits, events) {
+    if (magnitude < limits.freefall) {
+      if (this.fall === null || this.fall.end !== null) {
+        this.fall = { start: t, end: null, reported: false };
+      }
+      if (!this.fall.reported && t - this.fall.start >= GESTURE_FREEFALL_MIN) {
+        this.fall.reported = true;
+        this.fire(events, "free-fall", t);
+      }
+      return;
+    }
+
+    if (this.fall === null) return;
+    if (this.fall.end === null) {
+      this.fall.end = t;
+      if (!this.fall.reported) {
+        this.fall = null; // Too short to be a fall
+        return;
+      }
+    }
+
+    // First big jolt after the fall = landing
+    if (this.fall.reported && t - this.fall.end <= GESTURE_LANDING_WINDOW && jolt > limits.impact) {
+      let seconds = (this.fall.end - this.fall.start) / 1000;
+      let meters = 0.5 * 9.81 * seconds * seconds;
+      this.fire(events, "landing", t, `${(magnitude / 1000).toFixed(1)}g after ${seconds.toFixed(2)}s fall (~${meters.toFixed(1)}m)`);
+      this.fall.reported = false; // One landing per fall
+    }
+  }
+
+  // Double tap: two short jolts after a quiet moment, then quiet again
+  updateTaps(jolt, t, limits, events) {
+    let loud = jolt > limits.tap / 2;
+
+    if (jolt > limits.tap) {
+      if (this.burst === null) {
+        // A third tap spoils the double tap (and can't start a new one)
+        let spoiled = this.pendingDoubleTap !== null;
+        if (spoiled) {
+          this.pendingDoubleTap = null;
+          this.taps = [];
+        }
+        this.burst = { start: t, last: t, quietBefore: spoiled ? 0 : t - this.lastLoudTime };
+      }
+      this.burst.last = t;
+    } else if (this.burst !== null && !loud) {
+      let burst = this.burst;
+      this.burst = null;
+
+      if (burst.last - burst.start > GESTURE_TAP_MAX) {
+        this.taps = []; // A long jolt, not a tap
+      } else {
+        this.taps = this.taps.filter((time) => burst.start - time <= GESTURE_DOUBLE_TAP_WINDOW);
+        // The first tap needs a quiet moment before it
+        if (this.taps.length > 0 || burst.quietBefore >= GESTURE_TAP_QUIET) {
+          this.taps.push(burst.last);
+          if (this.taps.length === 2) {
+            this.pendingDoubleTap = burst.last;
+          } else if (this.taps.length > 2) {
+            this.taps = [];
+          }
+        }
+      }
+    }
+
+    if (loud) this.lastLoudTime = t;
+
+    if (this.pendingDoubleTap !== null && t - this.lastLoudTime >= GESTURE_DOUBLE_TAP_CONFIRM) {
+      this.pendingDoubleTap = null;
+      this.taps = [];
+      this.fire(events, "double-tap", t);
+    }
+  }
+
+  // Shake: several strong jolts in quick succession
+  updateShake(jolt, t, limits, events) {
+    if (!this.shakeHigh && jolt > limits.shake) {
+      this.shakeHigh = true;
+      this.shakeJolts.push(t);
+    } else if (this.shakeHigh && jolt < limits.shake / 2) {
+      this.shakeHigh = false;
+    }
+
+    this.shakeJolts = this.shakeJolts.filter((time) => t - time <= GESTURE_SHAKE_WINDOW);
+    if (this.shakeJolts.length >= GESTURE_SHAKE_JOLTS) {
+      this.fire(events, "shake", t, `${this.shakeJolts.length} jolts/s`);
+    }
+  }
+
+  // Sharp tilt: past GESTURE_TILT_ANGLE from rest, quickly. Re-arms once the
+  // device is back within half the angle.
+  updateTilt(x, y, z, t, events) {
+    let tilt = computeTilt(x, y, z);
+    let pitch = tilt.pitch - this.rest.pitch;
+    let roll = ((tilt.roll - this.rest.roll + 540) % 360) - 180; // Wrap to -180..180
+    let angle = Math.max(Math.abs(pitch), Math.abs(roll));
+
+    if (angle < GESTURE_TILT_ANGLE / 2) {
+      this.tiltArmed = true;
+      this.tiltLowTime = t;
+      return;
+    }
+    if (!this.tiltArmed || angle < GESTURE_TILT_ANGLE) return;
+
+    this.tiltArmed = false;
+    if (this.tiltLowTime === null || t - this.tiltLowTime > GESTURE_TILT_TIME) return; // Slow tilt
+
+    let type;
+    if (Math.abs(roll) >= Math.abs(pitch)) {
+      type = roll > 0 ? "tilt-right" : "tilt-left";
+    } else {
+      type = pitch > 0 ? "tilt-back" : "tilt-forward"; // Logo end raised = tilted back
+    }
+    this.fire(events, type, t, `${angle.toFixed(0)}°`);
+  }
+}
+
+// e.g. "Landing 2.9g after 0.40s fall (~0.8m)". Trained gestures
+// (gestureTrainer.js) carry their own name.
+function describeGesture(event) {
+  let label = event.name || GESTURE_LABELS[event.type] || event.type;
+  return event.detail ? `${label} ${event.detail}` : label;
+}
+
+// Allow `require("./gestureDetector.js")` from Node (no effect in the browser)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { GESTURE_LABELS, GestureDetector, describeGesture };
+}
@@ -0,0 +1,294 @@
+// Custom gesture trainer
+// Students record a few examples of their own moves ("wave", "circle", ...)
+// from one stream. A matcher per stream then compares its recent X/Y/Z
+// samples with every example using dynamic time warping (DTW), which lines up
+// movements done a bit faster or slower than the recording, and reports the
+// closest gesture with a confidence score.
+//
+// Examples and windows are resampled to the same length and their mean is
+// removed (gravity / the way the device is held), so only the movement
+// itself is compared. Gestures are saved in localStorage and can be
+// exported / imported as JSON.
+// Has no p5 dependency (loadable from Node like protocol.js) - the file
+// import uses the browser's file APIs, the export downloadText() from recorder.js.
+
+const TRAINER_STORAGE_KEY = "oskarbit-gestures";
+const TRAINER_MAX_SAMPLES = 60; // Longest example (3 s at 20 Hz) - recording stops here
+const TRAINER_MIN_SAMPLES = 6; // Shorter examples (after trimming) are rejected
+const TRAINER_TRIM = 120; // mg - the start / end of an example closer than this to the resting position is cut off
+const TRAINER_POINTS = 32; // Examples and windows are resampled to this many points
+const TRAINER_BAND = 6; // DTW warping window (points either side of the diagonal)
+const TRAINER_SCALES = [0.8, 1, 1.25]; // Window lengths tried per example (done faster / slower)
+const TRAINER_MIN_MOTION = 100; // mg - a window quieter than this (std) isn't matched
+const TRAINER_MIN_SPREAD = 40; // mg - distance between examples assumed at least this
+const TRAINER_TOLERANCE = 3; // Confidence reaches 0 at this many times the examples' spread
+const TRAINER_MIN_CONFIDENCE = 0.5; // Matches below this aren't reported
+const TRAINER_MATCH_INTERVAL = 200; // ms between matching attempts per stream
+const TRAINER_COOLDOWN = 1000; // ms after a match before the stream is matched again
+
+// Resample samples [{ x, y, z }] to `count` points [[x, y, z], ...] with their mean removed
+function prepareGestureWindow(samples, count) {
+  let points = [];
+  for (let i = 0; i < count; i++) {
+    let pos = (i * (samples.length - 1)) / (count - 1);
+    let a = samples[Math.floor(pos)];
+    let b = samples[Math.min(samples.length - 1, Math.floor(pos) + 1)];
+    let f = pos - Math.floor(pos);
+    points.push([a.x + (b.x - a.x) * f, a.y + (b.y - a.y) * f, a.z + (b.z - a.z) * f]);
+  }
+
+  for (let axis = 0; axis < 3; axis++) {
+    let mean = points.reduce((sum, p) => sum + p[axis], 0) / count;
+    for (let p of points) p[axis] -= mean;
+  }
+  return points;
+}
+
+// DTW distance between two point lists (mg per step of the warping path)
+function dtwDistance(a, b, band) {
+  let n = a.length;
+  let m = b.length;
+  let w = Math.max(band, Math.abs(n - m));
+  let prev = new Array(m + 1).fill(Infinity);
+  prev[0] = 0;
+
+  for (let i = 1; i <= n; i++) {
+    let cur = new Array(m + 1).fill(Infinity);
+    for (let j = Math.max(1, i - w); j <= Math.min(m, i + w); j++) {
+      let dx = a[i - 1][0] - b[j - 1][0];
+      let dy = a[i - 1][1] - b[j - 1][1];
+      let dz = a[i - 1][2] - b[j - 1][2];
+      let cost = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      cur[j] = cost + Math.min(prev[j], cur[j - 1], prev[j - 1]);
+    }
+    prev = cur;
+  }
+  return prev[m] / (n + m);
+}
+
+// Combined standard deviation of samples [{ x, y, z }] (mg)
+function gestureMotion(samples) {
+  let total = 0;
+  for (let axis of ["x", "y", "z"]) {
+    let mean = samples.reduce((sum, s) => sum + s[axis], 0) / samples.length;
+    total += samples.reduce((sum, s) => sum + Math.pow(s[axis] - mean, 2), 0) / samples.length;
+  }
+  return Math.sqrt(total);
+}
+
+// The recorded gestures, their examples and the matching against them
+class GestureTrainer {
+  constructor() {
+    this.gestures = []; // [{ name, examples: [[{ x, y, z }, ...], ...] }]
+    this.prepared = []; // Resampled examples and spread per gesture, for matching
+    this.load();
+  }
+
+  load() {
+    if (typeof localStorage === "undefined") return;
+    let saved = localStorage.getItem(TRAINER_STORAGE_KEY);
+    if (saved === null) return;
+    try {
+      this.setGestures(JSON.parse(saved));
+    } catch (e) {
+      console.log(`⚠️ Saved gestures can't be read (${e.message}) - starting without gestures`);
+    }
+  }
+
+  save() {
+    if (typeof localStorage === "undefined") return;
+    localStorage.setItem(TRAINER_STORAGE_KEY, this.toJSON());
+  }
+
+  // Replace all gestures from saved / imported data. Returns the number
+  // loaded. Throws (keeping the current gestures) if it isn't gestures data.
+  // Examples with missing or non-numeric points are dropped.
+  setGestures(data) {
+    if (!data || !Array.isArray(data.gestures)) {
+      throw new Error("no gestures list");
+    }
+    let isPoint = (p) => Array.isArray(p) && p.length >= 3 && p.slice(0, 3).every((v) => typeof v === "number" && isFinite(v));
+    this.gestures = data.gestures
+      .filter((g) => g && typeof g.name === "string" && Array.isArray(g.examples))
+      .map((g) => ({
+        name: g.name,
+        examples: g.examples
+          .filter((e) => Array.isArray(e) && e.length >= TRAINER_MIN_SAMPLES && e.every(isPoint))
+          .map((e) => e.map((p) => ({ x: p[0], y: p[1], z: p[2] }))),
+      }));
+    this.prepare();
+    return this.gestures.length;
+  }
+
+  // JSON for localStorage and export: { version, gestures: [{ name, examples: [[[x, y, z], ...]] }] }
+  toJSON() {
+    return JSON.stringify({
+      version: 1,
+      gestures: this.gestures.map((g) => ({
+        name: g.name,
+        examples: g.examples.map((e) => e.map((s) => [Math.round(s.x), Math.round(s.y), Math.round(s.z)])),
+      })),
+    });
+  }
+
+  // Import exported JSON text, replacing the current gestures. Returns the
+  // number loaded; throws (and changes nothing) if it isn't a gestures file.
+  importJSON(text) {
+    let count = this.setGestures(JSON.parse(text));
+    this.save();
+    return count;
+  }
+
+  find(name) {
+    return this.gestures.find((g) => g.name === name) || null;
+  }
+
+  addGesture(name) {
+    if (!this.find(name)) {
+      this.gestures.push({ name: name, examples: [] });
+      this.save();
+    }
+    return this.find(name);
+  }
+
+  removeGesture(name) {
+    this.gestures = this.gestures.filter((g) => g.name !== name);
+    this.prepare();
+    this.save();
+  }
+
+  // Add a recorded example (samples [{ x, y, z }]). The still start and end
+  // (before the device moves away from its resting position) are trimmed
+  // off. Returns an error message, or null when it was added.
+  addExample(name, samples) {
+    if (samples.length < TRAINER_MIN_SAMPLES) return "too short - move more while recording";
+    let distance = (a, b) => Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2) + Math.pow(a.z - b.z, 2));
+    let start = 0;
+    let end = samples.length - 1;
+    while (start < end && distance(samples[start + 1], samples[0]) < TRAINER_TRIM) start++;
+    while (end > start && distance(samples[end - 1], samples[samples.length - 1]) < TRAINER_TRIM) end--;
+
+    let trimmed = samples.slice(start, end + 1);
+    if (trimmed.length < TRAINER_MIN_SAMPLES) return "too short - move more while recording";
+    if (gestureMotion(trimmed) < TRAINER_MIN_MOTION) return "too little movement";
+
+    this.addGesture(name).examples.push(trimmed);
+    this.prepare();
+    this.save();
+    return null;
+  }
+
+  removeLastExample(name) {
+    let gesture = this.find(name);
+    if (gesture === null || gesture.examples.length === 0) return;
+    gesture.examples.pop();
+    this.prepare();
+    this.save();
+  }
+
+  // Resample every example, and measure how far a gesture's examples are
+  // apart (its spread) - the confidence scale for matching it
+  prepare() {
+    this.prepared = [];
+    for (let gesture of this.gestures) {
+      if (gesture.examples.length === 0) continue;
+      let examples = gesture.examples.map((e) => ({ length: e.length, points: prepareGestureWindow(e, TRAINER_POINTS) }));
+
+      let distances = [];
+      for (let i = 0; i < examples.length; i++) {
+        for (let j = i + 1; j < examples.length; j++) {
+          distances.push(dtwDistance(examples[i].points, examples[j].points, TRAINER_BAND));
+        }
+      }
+      let spread = distances.length > 0 ? distances.reduce((a, b) => a + b, 0) / distances.length : 0;
+      this.prepared.push({ name: gesture.name, examples: examples, spread: Math.max(TRAINER_MIN_SPREAD, spread) });
+    }
+  }
+
+  // Closest gesture to the end of `buffer` (samples [{ x, y, z }]):
+  // { name, confidence (0-1), distance }, or null if nothing could be compared
+  match(buffer) {
+    let best = null;
+    for (let gesture of this.prepared) {
+      for (let example of gesture.examples) {
+        for (let scale of TRAINER_SCALES) {
+          let length = Math.max(TRAINER_MIN_SAMPLES, Math.round(example.length * scale));
+          if (buffer.length < length) continue;
+          let window = buffer.slice(-length);
+          if (gestureMotion(window) < TRAINER_MIN_MOTION) continue;
+
+          let distance = dtwDistance(prepareGestureWindow(window, TRAINER_POINTS), example.points, TRAINER_BAND);
+          let confidence = Math.max(0, 1 - distance / (gesture.spread * TRAINER_TOLERANCE));
+          if (best === null || confidence > best.confidence) {
+            best = { name: gesture.name, confidence: confidence, distance: distance };
+          }
+        }
+      }
+    }
+    return best;
+  }
+}
+
+// Live matching of one stream against the trainer's gestures
+class GestureMatcher {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.buffer = []; // Recent samples { x, y, z }
+    this.lastTime = null;
+    this.lastAttempt = -Infinity;
+    this.lastMatch = -Infinity;
+  }
+
+  // One sample (mg), t in ms. Returns a gesture event
+  // { type: "trained", name, confidence, time, detail } or null.
+  update(x, y, z, t, trainer) {
+    // Sender restarted (its clock went back) - start over
+    if (this.lastTime !== null && t < this.lastTime) {
+      this.reset();
+    }
+    this.lastTime = t;
+
+    this.buffer.push({ x: x, y: y, z: z });
+    if (this.buffer.length > TRAINER_MAX_SAMPLES) {
+      this.buffer.shift();
+    }
+
+    if (trainer.prepared.length === 0) return null;
+    if (t - this.lastAttempt < TRAINER_MATCH_INTERVAL || t - this.lastMatch < TRAINER_COOLDOWN) return null;
+    this.lastAttempt = t;
+
+    let match = trainer.match(this.buffer);
+    if (match === null || !(match.confidence >= TRAINER_MIN_CONFIDENCE)) return null;
+
+    this.lastMatch = t;
+    this.buffer = []; // Don't match the same movement twice
+    return {
+      type: "trained",
+      name: match.name,
+      confidence: match.confidence,
+      time: t,
+      detail: `${Math.round(match.confidence * 100)}%`,
+    };
+  }
+}
+
+// Ask the user for an exported gestures file, then call callback(text, fileName)
+function openGestureFile(callback) {
+  let input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".json";
+  input.onchange = () => {
+    let file = input.files[0];
+    if (!file) return;
+    file.text().then((text) => callback(text, file.name));
+  };
+  input.click();
+}
+
+// Allow `require("./gestureTrainer.js")` from Node (no effect in the browser)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { TRAINER_MAX_SAMPLES, GestureTrainer, GestureMatcher, dtwDistance, prepareGestureWindow };
+}
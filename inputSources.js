@@ -0,0 +1,508 @@
+// Input sources
+// Every sketch reads its data through one InputManager instead of talking to
+// the serial port directly. A source only has to deliver raw bytes - the
+// manager runs them through the FrameDecoder, so sketches get the same
+// events (see protocol.js) whatever the data comes from:
+//   SerialSource    - the receiver micro:bit over WebSerial (default)
+//   SimulatorSource - virtual devices (simulator.js)
+//   ReplaySource    - a recorded session file (recorder.js)
+//   WebSocketSource - a remote bridge/server, e.g. a lab machine with the receiver
+//   BluetoothSource - senders connected directly over Bluetooth UART (no receiver)
+//
+// Pick the start-up source in the page URL: ?sim=6 (simulator) or
+// ?ws=ws://host:8765 (WebSocket). Serial is used otherwise.
+//
+// Source interface:
+//   kind              - "serial" | "simulator" | "replay" | "websocket" | "bluetooth"
+//   start() / stop()  - becomes / stops being the active source
+//   isOpen()          - currently delivering data
+//   readBytes()       - Uint8Array of the bytes received since the last call
+//   write(text)       - send to the devices (returns false if not supported/connected)
+//   getStatusText()   - one line for the sketch header
+
+const WEBSOCKET_DEFAULT_URL = "ws://localhost:8765";
+const WEBSOCKET_RETRY_MS = 2000;
+
+// Nordic UART service, as exposed by microbit-sender-ble.js
+const UART_SERVICE = "6e400001-b5a3-f393-e0a9-e50e24dcca9e";
+const UART_MAX_WRITE = 20; // Bytes per GATT write (default BLE packet size)
+
+// Header colors per source (red is used while not connected)
+const INPUT_COLORS = {
+  serial: [100, 255, 100],
+  simulator: [255, 200, 100],
+  replay: [150, 200, 255],
+  websocket: [150, 255, 220],
+  bluetooth: [100, 170, 255],
+};
+
+// Receiver micro:bit over WebSerial (needs p5.webserial)
+class SerialSource {
+  constructor(baudrate) {
+    this.kind = "serial";
+    this.baudrate = baudrate;
+    this.port = createSerial();
+
+    // Reconnect to a previously approved port without a prompt
+    let usedPorts = usedSerialPorts();
+    console.log("Previously used ports:", usedPorts);
+    if (usedPorts.length > 0) {
+      console.log("Attempting auto-connect to:", usedPorts[0]);
+      this.port.open(usedPorts[0], baudrate);
+    }
+  }
+
+  // Ask the browser for a port (must be called from a key/mouse handler)
+  connect() {
+    if (!this.port.opened()) {
+      console.log("Opening serial port...");
+      this.port.open(this.baudrate);
+    } else {
+      console.log("Port already open");
+    }
+  }
+
+  start() {
+    // The port stays open while another source is active - drop what piled up
+    if (this.port.opened()) {
+      this.port.readBytes();
+    }
+  }
+
+  stop() {}
+
+  isOpen() {
+    return this.port.opened();
+  }
+
+  readBytes() {
+    return this.port.readBytes();
+  }
+
+  write(text) {
+    if (!this.port.opened()) return false;
+    this.port.write(text);
+    return true;
+  }
+
+  getStatusText() {
+    return this.port.opened() ? "● Connected" : "○ Press 'S' to connect";
+  }
+}
+
+// Virtual devices (simulator.js)
+class SimulatorSource {
+  constructor(simulator) {
+    this.kind = "simulator";
+    this.simulator = simulator;
+  }
+
+  start() {
+    this.simulator.start();
+  }
+
+  stop() {
+    this.simulator.stop();
+  }
+
+  isOpen() {
+    return this.simulator.running;
+  }
+
+  readBytes() {
+    return this.simulator.readBytes();
+  }
+
+  write(text) {
+    return false;
+  }
+
+  getStatusText() {
+    let sim = this.simulator;
+    return `🧪 Simulator: ${sim.streamCount} stream(s), ${sim.scenario} @ ${sim.rate} Hz  (K scenario, M stop)`;
+  }
+}
+
+// Recorded session file (recorder.js) played back with its original timing
+class ReplaySource {
+  constructor(entries, name) {
+    this.kind = "replay";
+    this.replay = new SessionReplay(entries, name);
+  }
+
+  start() {}
+
+  stop() {}
+
+  isOpen() {
+    return true;
+  }
+
+  readBytes() {
+    let lines = this.replay.update();
+    if (lines.length === 0) return new Uint8Array(0);
+    return new TextEncoder().encode(lines.join("\n") + "\n");
+  }
+
+  write(text) {
+    return false;
+  }
+
+  getStatusText() {
+    return `Replay ${this.replay.getStatusText()}  (Space pause, N step, F speed, Q live)`;
+  }
+}
+
+// WebSocket client. Binary messages are raw receiver bytes (text lines and
+// binary frames); text messages are one or more complete lines.
+// Reconnects every 2 s while it is the active source.
+class WebSocketSource {
+  constructor(url) {
+    this.kind = "websocket";
+    this.url = url || WEBSOCKET_DEFAULT_URL;
+    this.socket = null;
+    this.chunks = [];
+    this.active = false;
+    this.retryTimer = null;
+  }
+
+  start() {
+    this.active = true;
+    this.connect();
+  }
+
+  stop() {
+    this.active = false;
+    clearTimeout(this.retryTimer);
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+
+  connect() {
+    console.log(`Connecting to ${this.url}...`);
+    let socket = new WebSocket(this.url);
+    socket.binaryType = "arraybuffer";
+    socket.onopen = () => console.log(`WebSocket connected: ${this.url}`);
+    socket.onmessage = (message) => this.receive(message.data);
+    socket.onclose = () => {
+      if (this.socket !== socket || !this.active) return;
+      this.socket = null;
+      this.retryTimer = setTimeout(() => this.connect(), WEBSOCKET_RETRY_MS);
+    };
+    this.socket = socket;
+  }
+
+  receive(data) {
+    if (typeof data === "string") {
+      this.chunks.push(new TextEncoder().encode(data.endsWith("\n") ? data : data + "\n"));
+    } else {
+      this.chunks.push(new Uint8Array(data));
+    }
+  }
+
+  isOpen() {
+    return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  readBytes() {
+    if (this.chunks.length === 0) return new Uint8Array(0);
+    let total = this.chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    let bytes = new Uint8Array(total);
+    let offset = 0;
+    for (let chunk of this.chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    }
+    this.chunks = [];
+    return bytes;
+  }
+
+  write(text) {
+    if (!this.isOpen()) return false;
+    this.socket.send(text);
+    return true;
+  }
+
+  getStatusText() {
+    return this.isOpen() ? `● WebSocket ${this.url}` : `○ Connecting to ${this.url}...`;
+  }
+}
+
+// Senders connected directly over Bluetooth UART (microbit-sender-ble.js).
+// Each device is its own GATT connection; lines are reassembled per device
+// so chunks from different senders never interleave. Text lines only.
+// `bluetooth` is navigator.bluetooth by default - pass a mock with the same
+// shape (requestDevice -> device.gatt.connect -> getPrimaryService ->
+// getCharacteristics) to test without hardware.
+class BluetoothSource {
+  constructor(bluetooth) {
+    this.kind = "bluetooth";
+    this.bluetooth = bluetooth || (typeof navigator !== "undefined" ? navigator.bluetooth : null);
+    this.links = []; // { device, writer, partial, queue }
+    this.lines = [];
+    this.active = false;
+  }
+
+  // Connections stay up while another source is active, their data is dropped
+  start() {
+    this.active = true;
+  }
+
+  stop() {
+    this.active = false;
+    this.lines = [];
+  }
+
+  // Ask the browser for a sender and connect (must be called from a key/mouse handler)
+  async addDevice() {
+    if (!this.bluetooth) {
+      console.log("Web Bluetooth is not available in this browser (try Chrome/Edge)");
+      return null;
+    }
+    try {
+      let device = await this.bluetooth.requestDevice({
+        filters: [{ namePrefix: "BBC micro:bit" }],
+        optionalServices: [UART_SERVICE],
+      });
+      return await this.connect(device);
+    } catch (err) {
+      console.log(`Bluetooth: ${err.message}`);
+      return null;
+    }
+  }
+
+  async connect(device) {
+    let server = await device.gatt.connect();
+    let link = { device: device, writer: null, partial: "", queue: Promise.resolve() };
+
+    // Don't leave the GATT connection open when the UART can't be set up
+    try {
+      let service = await server.getPrimaryService(UART_SERVICE);
+      let characteristics = await service.getCharacteristics();
+
+      // The micro:bit swaps Nordic's TX/RX UUIDs, so pick by property instead
+      let notifier = characteristics.find((c) => c.properties.notify || c.properties.indicate);
+      let writer = characteristics.find((c) => c.properties.write || c.properties.writeWithoutResponse);
+      if (!notifier) {
+        throw new Error(`${device.name} has no UART data characteristic`);
+      }
+
+      link.writer = writer || null;
+      notifier.addEventListener("characteristicvaluechanged", (event) => this.receive(link, event.target.value));
+      await notifier.startNotifications();
+    } catch (err) {
+      device.gatt.disconnect();
+      throw err;
+    }
+
+    device.addEventListener("gattserverdisconnected", () => {
+      this.links = this.links.filter((l) => l !== link);
+      console.log(`🔵 ${device.name} disconnected (${this.links.length} device(s))`);
+    });
+    this.links.push(link);
+    console.log(`🔵 Connected ${device.name} (${this.links.length} device(s))`);
+    return link;
+  }
+
+  // One notification (DataView) from a device - keep complete lines only
+  receive(link, value) {
+    let text = link.partial + new TextDecoder().decode(value);
+    let lines = text.split(/\r?\n/);
+    link.partial = lines.pop();
+    if (link.partial.length > MAX_TEXT_LINE) {
+      link.partial = ""; // No newline in sight - garbage
+    }
+    if (!this.active) return;
+    for (let line of lines) {
+      if (line.length > 0) this.lines.push(line);
+    }
+  }
+
+  isOpen() {
+    return this.links.length > 0;
+  }
+
+  readBytes() {
+    if (this.lines.length === 0) return new Uint8Array(0);
+    let bytes = new TextEncoder().encode(this.lines.join("\n") + "\n");
+    this.lines = [];
+    return bytes;
+  }
+
+  // Commands go to every device (each sender checks the target itself)
+  write(text) {
+    let bytes = new TextEncoder().encode(text);
+    let sent = false;
+    for (let link of this.links) {
+      if (!link.writer) continue;
+      // One GATT write at a time per device, in 20 byte pieces
+      link.queue = link.queue
+        .then(async () => {
+          for (let i = 0; i < bytes.length; i += UART_MAX_WRITE) {
+            await link.writer.writeValue(bytes.slice(i, i + UART_MAX_WRITE));
+          }
+        })
+        .catch((err) => console.log(`Bluetooth write failed: ${err.message}`));
+      sent = true;
+    }
+    return sent;
+  }
+
+  getStatusText() {
+    if (this.links.length === 0) return "○ Press 'B' to connect a Bluetooth micro:bit";
+    let names = this.links.map((l) => l.device.name).join(", ");
+    return `🔵 Bluetooth: ${names}  (B to add another)`;
+  }
+}
+
+// The active source plus the decoder that turns its bytes into events
+class InputManager {
+  constructor(baudrate) {
+    this.baudrate = baudrate;
+    this.source = null;
+    this.decoder = new FrameDecoder();
+    this.events = []; // Decoded events the sketch hasn't taken yet
+    this.eventIndex = 0; // Next one for next()
+    this.recorder = null; // SessionRecorder fed at arrival (see setRecorder)
+    this.serial = null;
+    this.simulator = null;
+    this.bluetooth = null;
+    this.live = null; // Last non-replay source, for going back after a replay
+  }
+
+  // Create the sources and pick the start-up one (call from setup())
+  begin() {
+    this.serial = new SerialSource(this.baudrate);
+    this.simulator = new SimulatorSource(createSimulatorFromUrl());
+
+    let params = new URLSearchParams(window.location.search);
+    if (params.has("sim")) {
+      this.use(this.simulator);
+    } else if (params.has("ws")) {
+      this.useWebSocket(params.get("ws"));
+    } else {
+      this.use(this.serial);
+    }
+  }
+
+  // Make a source the active one (stops the previous one, drops half-read data)
+  use(source) {
+    if (this.source && this.source !== source) {
+      this.source.stop();
+    }
+    this.source = source;
+    if (source.kind !== "replay") {
+      this.live = source;
+    }
+    this.decoder.reset();
+    this.events = [];
+    this.eventIndex = 0;
+    source.start();
+  }
+
+  // Record every line as it arrives (recorder.js) - also the broken ones, and
+  // the ones a sketch drops when it falls behind
+  setRecorder(recorder) {
+    this.recorder = recorder;
+  }
+
+  // Serial port (S key) - also asks for a port if none is open
+  useSerial() {
+    this.use(this.serial);
+    this.serial.connect();
+  }
+
+  // Simulator on/off (M key) - off goes back to serial
+  toggleSimulator() {
+    this.use(this.is("simulator") ? this.serial : this.simulator);
+  }
+
+  useReplay(entries, name) {
+    this.use(new ReplaySource(entries, name));
+    console.log(`Replaying ${name} (${entries.length} lines)`);
+  }
+
+  useWebSocket(url) {
+    this.use(new WebSocketSource(url));
+  }
+
+  // Bluetooth senders (B key) - each press connects one more device
+  useBluetooth() {
+    if (!this.bluetooth) {
+      this.bluetooth = new BluetoothSource();
+    }
+    if (this.source !== this.bluetooth) {
+      this.use(this.bluetooth);
+    }
+    return this.bluetooth.addDevice();
+  }
+
+  // Back to live data (e.g. after a replay)
+  useLive() {
+    this.use(this.live || this.serial);
+  }
+
+  is(kind) {
+    return this.source !== null && this.source.kind === kind;
+  }
+
+  // Pull new bytes from the active source and decode them (once per frame).
+  // Recording happens here, before the sketch's per-frame event limit, so a
+  // backlog doesn't shift the receive times.
+  poll() {
+    if (!this.source || !this.source.isOpen()) return;
+    this.decoder.push(this.source.readBytes());
+    let arrival = Date.now();
+    let event;
+    while ((event = this.decoder.next()) !== null) {
+      if (this.recorder) this.recorder.record(event.raw, arrival);
+      this.events.push(event);
+    }
+  }
+
+  // Next decoded event, or null
+  next() {
+    if (this.eventIndex >= this.events.length) return null;
+    let event = this.events[this.eventIndex++];
+    if (this.eventIndex === this.events.length) {
+      this.events = [];
+      this.eventIndex = 0;
+    }
+    return event;
+  }
+
+  // Send text to the devices through the active source
+  write(text) {
+    return this.source ? this.source.write(text) : false;
+  }
+
+  isOpen() {
+    return this.source !== null && this.source.isOpen();
+  }
+
+  // SessionReplay of the active replay source, or null
+  getReplay() {
+    return this.is("replay") ? this.source.replay : null;
+  }
+
+  // DeviceSimulator while the simulator is active, or null
+  getSimulator() {
+    return this.is("simulator") ? this.source.simulator : null;
+  }
+
+  getStatusText() {
+    return this.source ? this.source.getStatusText() : "○ No input";
+  }
+
+  // [r, g, b] for the status text
+  getStatusColor() {
+    return this.isOpen() ? INPUT_COLORS[this.source.kind] : [255, 100, 100];
+  }
+}
+
+// Allow `require("./inputSources.js")` from Node (no effect in the browser)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { UART_SERVICE, SimulatorSource, ReplaySource, WebSocketSource, BluetoothSource, InputManager };
+}
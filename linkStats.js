@@ -0,0 +1,152 @@
+// Per-stream link quality tracking
+// Fed one call per received sample. Uses the optional sequence number (n=)
+// and sender timestamp (t=) when the sender provides them, and falls back
+// to browser arrival times for old senders that don't.
+// Also keeps a rolling radio signal strength (r=, added by the receiver).
+// Has no p5 dependency (loadable from Node like protocol.js).
+
+const LINK_SEQ_MODULO = 65536; // Sender wraps its counter at 16 bits
+const LINK_WINDOW = 100; // Number of recent packets used for the rolling figures
+const RSSI_WINDOW = 20; // Number of recent packets averaged for signal strength
+const RSSI_WEAK = -85; // dBm - below this a device is close to dropping out
+const RSSI_BAR_LEVELS = [-90, -80, -70, -60]; // dBm needed for 1, 2, 3, 4 bars
+
+class LinkStats {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.received = 0;
+    this.lost = 0; // Total packets missing from sequence gaps
+    this.lastSeq = null;
+    this.lastSenderTime = null;
+    this.lastArrival = null;
+
+    // Rolling window of recent packets: { gap, arrival, senderTime }
+    this.recent = [];
+
+    // Jitter estimate in ms (smoothed like RFC 3550)
+    this.jitter = 0;
+    this.meanInterval = 0;
+
+    // Recent RSSI readings in dBm
+    this.rssiHistory = [];
+  }
+
+  // Record the signal strength of any packet from this device
+  recordSignal(rssi) {
+    if (rssi === null || rssi === undefined) return;
+    this.rssiHistory.push(rssi);
+    if (this.rssiHistory.length > RSSI_WINDOW) {
+      this.rssiHistory.shift();
+    }
+  }
+
+  // Rolling average RSSI in dBm, or null if the receiver doesn't report it
+  getSignalStrength() {
+    if (this.rssiHistory.length === 0) return null;
+    let sum = this.rssiHistory.reduce((a, b) => a + b, 0);
+    return sum / this.rssiHistory.length;
+  }
+
+  // Signal bars 0-4 (null if unknown)
+  getSignalBars() {
+    let rssi = this.getSignalStrength();
+    if (rssi === null) return null;
+    return RSSI_BAR_LEVELS.filter((level) => rssi >= level).length;
+  }
+
+  // Device is close to dropping out
+  isWeakSignal() {
+    let rssi = this.getSignalStrength();
+    return rssi !== null && rssi < RSSI_WEAK;
+  }
+
+  // Record one received sample
+  // seq / senderTime may be null for senders using the old format
+  record(seq, senderTime, arrival) {
+    let gap = 1;
+
+    // Sequence gap -> packet loss
+    if (seq !== null && seq !== undefined && this.lastSeq !== null) {
+      let delta = (seq - this.lastSeq + LINK_SEQ_MODULO) % LINK_SEQ_MODULO;
+      if (delta === 0) return; // Duplicate packet, ignore
+      if (delta > LINK_SEQ_MODULO / 2) {
+        // Counter went backwards - sender restarted, start over
+        this.recent = [];
+      } else {
+        gap = delta;
+        this.lost += delta - 1;
+      }
+    }
+
+    // Jitter - variation in spacing between packets
+    if (this.lastArrival !== null) {
+      let arrivalInterval = arrival - this.lastArrival;
+      let deviation;
+      if (linkHasTime(senderTime) && linkHasTime(this.lastSenderTime)) {
+        // Transit time difference: how much later/earlier than the sender spacing
+        deviation = Math.abs(arrivalInterval - (senderTime - this.lastSenderTime));
+      } else {
+        // No sender clock: deviation from the average arrival spacing
+        this.meanInterval = this.meanInterval === 0
+          ? arrivalInterval
+          : this.meanInterval + (arrivalInterval - this.meanInterval) / 16;
+        deviation = Math.abs(arrivalInterval - this.meanInterval);
+      }
+      this.jitter += (deviation - this.jitter) / 16;
+    }
+
+    this.received++;
+    this.lastSeq = seq !== undefined ? seq : null;
+    this.lastSenderTime = linkHasTime(senderTime) ? senderTime : null;
+    this.lastArrival = arrival;
+
+    this.recent.push({ gap: gap, arrival: arrival, senderTime: this.lastSenderTime });
+    if (this.recent.length > LINK_WINDOW) {
+      this.recent.shift();
+    }
+  }
+
+  // Fraction of packets lost over the recent window (0-1)
+  getLossRate() {
+    let expected = 0;
+    let missing = 0;
+    for (let i = 1; i < this.recent.length; i++) {
+      expected += this.recent[i].gap;
+      missing += this.recent[i].gap - 1;
+    }
+    return expected > 0 ? missing / expected : 0;
+  }
+
+  // Samples per second actually delivered, over the recent window
+  getSampleRate() {
+    if (this.recent.length < 2) return 0;
+    let first = this.recent[0];
+    let last = this.recent[this.recent.length - 1];
+
+    // Prefer the sender clock - arrival times are bunched by serial buffering
+    let span = linkHasTime(first.senderTime) && linkHasTime(last.senderTime)
+      ? last.senderTime - first.senderTime
+      : last.arrival - first.arrival;
+    if (span <= 0) return 0;
+
+    let delivered = this.recent.length - 1;
+    return (delivered * 1000) / span;
+  }
+
+  // Whether the sender provides sequence numbers
+  hasSequence() {
+    return this.lastSeq !== null;
+  }
+}
+
+function linkHasTime(t) {
+  return t !== null && t !== undefined;
+}
+
+// Allow `require("./linkStats.js")` from Node (no effect in the browser)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { LINK_SEQ_MODULO, LINK_WINDOW, RSSI_WEAK, LinkStats };
+}
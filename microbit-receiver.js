@@ -1,16 +1,59 @@
 // Micro:bit RECEIVER Code
-// This receives radio messages and forwards them to serial (USB)
+// This receives radio messages and forwards them to serial (USB),
+// and relays dashboard commands ("@<id|*> <command> [value]") from serial to radio
 
 radio.onReceivedString(function (receivedString) {
     led.toggle(1, 1)
-    
+
+    // Signal strength of this packet (dBm, roughly -128 weak to -42 strong)
+    let rssi = radio.receivedPacket(RadioPacketProperty.SignalStrength)
+
     // FIX: Actually send the received string, not an empty string!
-    // Add newline character for proper message delimiting
-    serial.writeString(receivedString + "\n")
+    // Append RSSI as r=, then a newline for proper message delimiting
+    serial.writeString(receivedString + " r=" + rssi + "\n")
+})
+
+// Binary samples (sender `binaryMode`) are forwarded as a framed record:
+// [0xA5][length][payload...][checksum], checksum = (length + payload bytes) & 0xFF
+// The 0xA5 sync byte never appears in text, so text and binary can be mixed.
+// The RSSI is appended to the payload as one signed byte.
+radio.onReceivedBuffer(function (receivedBuffer) {
+    led.toggle(2, 2)
+
+    let rssi = radio.receivedPacket(RadioPacketProperty.SignalStrength)
+    let payload = pins.createBuffer(receivedBuffer.length + 1)
+    payload.write(0, receivedBuffer)
+    payload.setNumber(NumberFormat.Int8LE, receivedBuffer.length, rssi)
+
+    let length = payload.length
+    let frame = pins.createBuffer(length + 3)
+    let checksum = length
+    frame.setNumber(NumberFormat.UInt8LE, 0, 0xA5)
+    frame.setNumber(NumberFormat.UInt8LE, 1, length)
+    for (let i = 0; i < length; i++) {
+        let b = payload.getNumber(NumberFormat.UInt8LE, i)
+        frame.setNumber(NumberFormat.UInt8LE, i + 2, b)
+        checksum = (checksum + b) & 0xFF
+    }
+    frame.setNumber(NumberFormat.UInt8LE, length + 2, checksum)
+
+    serial.writeBuffer(frame)
+})
+
+// Commands from the dashboard - relay them to the senders over radio
+serial.onDataReceived(serial.delimiters(Delimiters.NewLine), function () {
+    let command = serial.readUntil(serial.delimiters(Delimiters.NewLine)).trim()
+    if (command.charAt(0) == "@") {
+        led.toggle(3, 3)
+        radio.sendString(command)
+    }
 })
 
 radio.setGroup(6)
 
+// Must match the sender's frame size, or longer messages are dropped
+radio.setFrameSize(64)
+
 // Optional: Show that receiver is ready
 basic.showIcon(IconNames.Yes)
 
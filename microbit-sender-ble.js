@@ -0,0 +1,205 @@
+// Micro:bit BLUETOOTH SENDER Code
+// Same messages as microbit-sender.js, but sent straight to the dashboard
+// over the Bluetooth UART service - no receiver micro:bit needed.
+// The dashboard connects to each sender with Web Bluetooth ('B' key).
+//
+// MakeCode setup: add the "bluetooth" extension (it replaces "radio") and
+// "flashstorage", and set Project Settings -> "No Pairing Required".
+// Text messages only - there is no binary mode over Bluetooth.
+
+let s = "";
+let degrees = 0;
+let connected = false;
+input.setAccelerometerRange(AcceleratorRange.FourG);
+
+// Stream ID. Leave at 0 to let the dashboard assign one (see microbit-sender.js)
+let id = 0;
+let serialNumber = control.deviceSerialNumber();
+if (id == 0) {
+  id = parseInt(flashstorage.getOrDefault("id", "0"));
+}
+
+// Sequence number (n=) and running time (t=) for link quality
+let sendTiming = true;
+let seq = 0;
+
+// Extra on-board sensors ("e<id> h= a= b= l= c="), every few samples
+let sendSensors = true;
+let sensorEvery = 10;
+let loopCount = 0;
+
+// Remote control state (changed by dashboard commands)
+let streaming = true;
+let sampleInterval = 50;
+let showingLevel = false;
+
+bluetooth.startUartService();
+
+bluetooth.onBluetoothConnected(function () {
+  connected = true;
+  basic.showIcon(IconNames.Yes, 500);
+  basic.clearScreen();
+  // Register straight away so the dashboard knows the stream
+  if (id != 0) {
+    bluetooth.uartWriteLine("S" + id + " s=" + serialNumber);
+  }
+});
+
+bluetooth.onBluetoothDisconnected(function () {
+  connected = false;
+  basic.showIcon(IconNames.No, 500);
+});
+
+// Commands from the dashboard ("@<id|*|#serial> <command> [value]").
+// The dashboard sends every command to every connected sender.
+bluetooth.onUartDataReceived(serial.delimiters(Delimiters.NewLine), function () {
+  let received = bluetooth.uartReadUntil(serial.delimiters(Delimiters.NewLine)).trim();
+  if (received.charAt(0) != "@") return;
+
+  let parts = received.split(" ");
+  let target = parts[0].substr(1);
+  let forMe =
+    target == "*" ||
+    target == "#" + serialNumber ||
+    (id != 0 && parseInt(target) == id);
+  if (!forMe) return;
+
+  let command = parts[1];
+  let value = parts.length > 2 ? parts[2] : "";
+
+  if (command == "start") {
+    streaming = true;
+  } else if (command == "stop") {
+    streaming = false;
+  } else if (command == "rate") {
+    sampleInterval = Math.constrain(parseInt(value), 10, 1000);
+  } else if (command == "identify") {
+    control.inBackground(function () {
+      for (let i = 0; i < 3; i++) {
+        basic.showIcon(IconNames.Diamond, 200);
+        basic.clearScreen();
+        basic.pause(200);
+      }
+    });
+  } else if (command == "level") {
+    if (value == "off") {
+      showingLevel = false;
+      basic.clearScreen();
+    } else {
+      // Light up one row per level, from the bottom (0 = blank, 5 = full)
+      showingLevel = true;
+      let level = parseInt(value);
+      for (let y = 0; y < 5; y++) {
+        for (let x = 0; x < 5; x++) {
+          if (4 - y < level) {
+            led.plot(x, y);
+          } else {
+            led.unplot(x, y);
+          }
+        }
+      }
+    }
+  } else if (command == "assign") {
+    // New stream ID from the dashboard - keep it across restarts
+    id = parseInt(value);
+    flashstorage.put("id", "" + id);
+    if (id != 0) {
+      bluetooth.uartWriteLine("S" + id + " s=" + serialNumber);
+      control.inBackground(function () {
+        basic.showNumber(id);
+        basic.clearScreen();
+      });
+    }
+  } else if (command == "cal") {
+    // Calibration cue: hold still while the square is shown
+    control.inBackground(function () {
+      basic.showIcon(IconNames.Square, 3000);
+      basic.showIcon(IconNames.Yes, 500);
+      basic.clearScreen();
+    });
+  }
+});
+
+// Button presses as discrete events ("b<id> A t=...")
+input.onButtonPressed(Button.A, function () {
+  if (id == 0 || !connected) return;
+  bluetooth.uartWriteLine("b" + id + " A t=" + input.runningTime());
+});
+input.onButtonPressed(Button.B, function () {
+  if (id == 0 || !connected) return;
+  bluetooth.uartWriteLine("b" + id + " B t=" + input.runningTime());
+});
+input.onButtonPressed(Button.AB, function () {
+  if (id == 0 || !connected) return;
+  bluetooth.uartWriteLine("b" + id + " AB t=" + input.runningTime());
+});
+
+basic.forever(function () {
+  // Nothing to do until the dashboard connects
+  if (!connected) {
+    basic.pause(200);
+    return;
+  }
+
+  // No ID yet - ask the dashboard for one once a second
+  if (id == 0) {
+    bluetooth.uartWriteLine("U" + serialNumber);
+    basic.showIcon(IconNames.Confused, 0);
+    basic.pause(1000);
+    return;
+  }
+
+  if (!streaming) {
+    basic.pause(100);
+    return;
+  }
+
+  // Heartbeat LED (skipped while the matrix shows a motion level)
+  if (!showingLevel) {
+    led.toggle(0, 0);
+  }
+  degrees = input.compassHeading();
+
+  s =
+    "m" +
+    id +
+    " x=" +
+    input.acceleration(Dimension.X) +
+    " y=" +
+    input.acceleration(Dimension.Y) +
+    " z=" +
+    input.acceleration(Dimension.Z);
+
+  if (sendTiming) {
+    s = s + " n=" + seq + " t=" + input.runningTime();
+    seq = (seq + 1) % 65536;
+  }
+
+  bluetooth.uartWriteLine(s);
+
+  loopCount++;
+
+  // Repeat the registration every ~5 seconds
+  if (loopCount % 100 === 0) {
+    bluetooth.uartWriteLine("S" + id + " s=" + serialNumber);
+  }
+
+  if (sendSensors && loopCount % sensorEvery === 0) {
+    bluetooth.uartWriteLine(
+      "e" +
+        id +
+        " h=" +
+        degrees +
+        " a=" +
+        (input.buttonIsPressed(Button.A) ? 1 : 0) +
+        " b=" +
+        (input.buttonIsPressed(Button.B) ? 1 : 0) +
+        " l=" +
+        input.lightLevel() +
+        " c=" +
+        input.temperature()
+    );
+  }
+
+  basic.pause(sampleInterval);
+});
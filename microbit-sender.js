@@ -1,36 +1,216 @@
 // Micro:bit SENDER Code
-// This sends accelerometer data via radio to the receiver
+// This sends accelerometer data via radio to the receiver,
+// and follows commands relayed from the dashboard ("@<id|*> <command> [value]")
 
 let s = "";
 let degrees = 0;
 radio.setGroup(6);
+
+// Larger radio frames - the default 32 byte frame only fits ~19 characters,
+// too short for the sequence number and timestamp fields below
+radio.setFrameSize(64);
 input.setAccelerometerRange(AcceleratorRange.FourG);
 
-// Set your stream ID here (1-6)
-let id = 2;
+// Stream ID. Leave at 0 to let the dashboard assign one: the sender then
+// broadcasts "U<serial>" until the dashboard sends "assign <id>", and keeps
+// the ID in flash across restarts (needs the "flashstorage" extension).
+// Set it to 1-255 to hard-code the ID instead.
+let id = 0;
+let serialNumber = control.deviceSerialNumber();
+if (id == 0) {
+  id = parseInt(flashstorage.getOrDefault("id", "0"));
+}
+
+// Append sequence number (n=) and running time (t=) to each message
+// so the dashboard can measure packet loss, jitter and sample rate.
+// Set to false to send the old "m<id> x= y= z=" format.
+let sendTiming = true;
+let seq = 0;
+
+// Binary mode: pack id/seq/time/x/y/z into a 14 byte buffer instead of text.
+// Much smaller than "m2 x=-1023 y=45 z=988 n=42 t=183020", so more devices
+// can share the radio and serial link. The dashboard detects it automatically.
+// Layout (little-endian): type(1)=0x01 id(1) seq(2) time(4) x(2) y(2) z(2)
+let binaryMode = false;
+let packet = pins.createBuffer(14);
+
+// Extra on-board sensors, sent as a separate "e<id> h= a= b= l= c=" line
+// (heading, button A/B held, light level, temperature). These change slowly,
+// so they go out every few samples instead of in every data message.
+let sendSensors = true;
+let sensorEvery = 10; // Every 10th loop = ~2 per second
+let loopCount = 0;
+
+// Remote control state (changed by dashboard commands)
+let streaming = true; // "start" / "stop"
+let sampleInterval = 50; // "rate <ms>"
+let showingLevel = false; // "level <0-5|off>" - LED matrix shows a motion level
+
+// Commands relayed by the receiver. Other senders' data messages also
+// arrive here (same radio group), so anything not starting with "@" is ignored.
+radio.onReceivedString(function (receivedString) {
+  if (receivedString.charAt(0) != "@") return;
+
+  let parts = receivedString.split(" ");
+  let target = parts[0].substr(1);
+  let forMe =
+    target == "*" ||
+    target == "#" + serialNumber ||
+    (id != 0 && parseInt(target) == id);
+  if (!forMe) return;
+
+  let command = parts[1];
+  let value = parts.length > 2 ? parts[2] : "";
+
+  if (command == "start") {
+    streaming = true;
+  } else if (command == "stop") {
+    streaming = false;
+  } else if (command == "rate") {
+    sampleInterval = Math.constrain(parseInt(value), 10, 1000);
+  } else if (command == "identify") {
+    control.inBackground(function () {
+      for (let i = 0; i < 3; i++) {
+        basic.showIcon(IconNames.Diamond, 200);
+        basic.clearScreen();
+        basic.pause(200);
+      }
+    });
+  } else if (command == "level") {
+    if (value == "off") {
+      showingLevel = false;
+      basic.clearScreen();
+    } else {
+      // Light up one row per level, from the bottom (0 = blank, 5 = full)
+      showingLevel = true;
+      let level = parseInt(value);
+      for (let y = 0; y < 5; y++) {
+        for (let x = 0; x < 5; x++) {
+          if (4 - y < level) {
+            led.plot(x, y);
+          } else {
+            led.unplot(x, y);
+          }
+        }
+      }
+    }
+  } else if (command == "assign") {
+    // New stream ID from the dashboard - keep it across restarts
+    id = parseInt(value);
+    flashstorage.put("id", "" + id);
+    if (id != 0) {
+      radio.sendString("S" + id + " s=" + serialNumber);
+      control.inBackground(function () {
+        basic.showNumber(id);
+        basic.clearScreen();
+      });
+    }
+  } else if (command == "cal") {
+    // Calibration cue: hold still while the square is shown
+    control.inBackground(function () {
+      basic.showIcon(IconNames.Square, 3000);
+      basic.showIcon(IconNames.Yes, 500);
+      basic.clearScreen();
+    });
+  }
+});
+
+// Send registration message on startup (with the hardware serial, so the
+// dashboard can spot two devices using the same ID)
+if (id != 0) {
+  radio.sendString("S" + id + " s=" + serialNumber);
+}
 
-// Send registration message on startup
-let hello = "S" + id;
-radio.sendString(hello);
+// Button presses are sent immediately as discrete events ("b<id> A t=...")
+// so participants can mark moments from the device itself
+input.onButtonPressed(Button.A, function () {
+  if (id == 0) return;
+  radio.sendString("b" + id + " A t=" + input.runningTime());
+});
+input.onButtonPressed(Button.B, function () {
+  if (id == 0) return;
+  radio.sendString("b" + id + " B t=" + input.runningTime());
+});
+input.onButtonPressed(Button.AB, function () {
+  if (id == 0) return;
+  radio.sendString("b" + id + " AB t=" + input.runningTime());
+});
 
 basic.forever(function () {
-  led.toggle(0, 0);
+  // No ID yet - ask the dashboard for one once a second
+  if (id == 0) {
+    radio.sendString("U" + serialNumber);
+    basic.showIcon(IconNames.Confused, 0);
+    basic.pause(1000);
+    return;
+  }
+
+  if (!streaming) {
+    basic.pause(100);
+    return;
+  }
+
+  // Heartbeat LED (skipped while the matrix shows a motion level)
+  if (!showingLevel) {
+    led.toggle(0, 0);
+  }
   degrees = input.compassHeading();
 
-  // FIX: Add spaces between x=, y=, z= for proper parsing
-  s =
-    "m" +
-    id +
-    " x=" +
-    input.acceleration(Dimension.X) +
-    " y=" +
-    input.acceleration(Dimension.Y) +
-    " z=" +
-    input.acceleration(Dimension.Z);
+  if (binaryMode) {
+    packet.setNumber(NumberFormat.UInt8LE, 0, 1);
+    packet.setNumber(NumberFormat.UInt8LE, 1, id);
+    packet.setNumber(NumberFormat.UInt16LE, 2, seq);
+    packet.setNumber(NumberFormat.UInt32LE, 4, input.runningTime());
+    packet.setNumber(NumberFormat.Int16LE, 8, input.acceleration(Dimension.X));
+    packet.setNumber(NumberFormat.Int16LE, 10, input.acceleration(Dimension.Y));
+    packet.setNumber(NumberFormat.Int16LE, 12, input.acceleration(Dimension.Z));
+    seq = (seq + 1) % 65536;
+    radio.sendBuffer(packet);
+  } else {
+    // FIX: Add spaces between x=, y=, z= for proper parsing
+    s =
+      "m" +
+      id +
+      " x=" +
+      input.acceleration(Dimension.X) +
+      " y=" +
+      input.acceleration(Dimension.Y) +
+      " z=" +
+      input.acceleration(Dimension.Z);
+
+    if (sendTiming) {
+      s = s + " n=" + seq + " t=" + input.runningTime();
+      seq = (seq + 1) % 65536;
+    }
+
+    radio.sendString(s);
+  }
+
+  loopCount++;
+
+  // Repeat the registration every ~5 seconds for dashboards opened later
+  if (loopCount % 100 === 0) {
+    radio.sendString("S" + id + " s=" + serialNumber);
+  }
 
-  radio.sendString(s);
+  if (sendSensors && loopCount % sensorEvery === 0) {
+    radio.sendString(
+      "e" +
+        id +
+        " h=" +
+        degrees +
+        " a=" +
+        (input.buttonIsPressed(Button.A) ? 1 : 0) +
+        " b=" +
+        (input.buttonIsPressed(Button.B) ? 1 : 0) +
+        " l=" +
+        input.lightLevel() +
+        " c=" +
+        input.temperature()
+    );
+  }
 
   // RECOMMENDED: Add a small delay to prevent overload
   // Without delay, micro:bit sends at ~50-100 Hz which can overwhelm the receiver
-  basic.pause(50); // Sends ~20 messages/second - good balance of responsiveness and stability
+  basic.pause(sampleInterval); // Default 50 ms = ~20 messages/second - good balance of responsiveness and stability
 });
@@ -0,0 +1,80 @@
+// Tilt estimation
+// Pitch and roll from the accelerometer's gravity vector, plus the compass
+// heading the sender reports ("e<id> h="), smoothed and ignored while the
+// device is steeply tilted. The heading is not tilt-compensated here - the
+// sender only reports the finished heading, not the raw magnetometer axes.
+//
+// Angles in degrees, micro:bit lying flat face up = pitch 0, roll 0:
+//   pitch - positive when the logo end is raised
+//   roll  - positive when the right edge (pin 2 side) is lowered
+// Has no p5 dependency (loadable from Node like protocol.js).
+
+const TILT_SMOOTHING = 0.2; // Low-pass on the gravity vector (1 = raw, lower = steadier angles)
+const HEADING_SMOOTHING = 0.3; // Heading updates only arrive ~2x per second
+const HEADING_MAX_TILT = 60; // Degrees - compass readings are unreliable beyond this
+
+// Pitch and roll of one accelerometer reading (mg)
+function computeTilt(x, y, z) {
+  return {
+    pitch: (Math.atan2(-y, Math.sqrt(x * x + z * z)) * 180) / Math.PI,
+    roll: (Math.atan2(x, -z) * 180) / Math.PI,
+  };
+}
+
+class OrientationTracker {
+  constructor() {
+    this.gravityX = null;
+    this.gravityY = 0;
+    this.gravityZ = 0;
+    this.pitch = 0;
+    this.roll = 0;
+    this.heading = null; // Degrees 0-359, null until the sender reports one
+    this.linear = 0; // Acceleration not explained by gravity (mg)
+  }
+
+  // One accelerometer sample (mg)
+  update(x, y, z) {
+    if (this.gravityX === null) {
+      this.gravityX = x;
+      this.gravityY = y;
+      this.gravityZ = z;
+    } else {
+      this.gravityX += (x - this.gravityX) * TILT_SMOOTHING;
+      this.gravityY += (y - this.gravityY) * TILT_SMOOTHING;
+      this.gravityZ += (z - this.gravityZ) * TILT_SMOOTHING;
+    }
+
+    let tilt = computeTilt(this.gravityX, this.gravityY, this.gravityZ);
+    this.pitch = tilt.pitch;
+    this.roll = tilt.roll;
+
+    let dx = x - this.gravityX;
+    let dy = y - this.gravityY;
+    let dz = z - this.gravityZ;
+    this.linear = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  // Compass heading from the sender. Smoothed along the shortest way round
+  // (359 -> 1 is a 2 degree step), and ignored while the device is steeply tilted.
+  updateHeading(heading) {
+    if (heading === null || heading === undefined) return;
+    if (Math.abs(this.pitch) > HEADING_MAX_TILT || Math.abs(this.roll) > HEADING_MAX_TILT) return;
+
+    if (this.heading === null) {
+      this.heading = heading;
+      return;
+    }
+    let diff = ((heading - this.heading + 540) % 360) - 180;
+    this.heading = (this.heading + diff * HEADING_SMOOTHING + 360) % 360;
+  }
+
+  // Current orientation { pitch, roll, heading } (heading null if unknown)
+  getOrientation() {
+    return { pitch: this.pitch, roll: this.roll, heading: this.heading };
+  }
+}
+
+// Allow `require("./orientation.js")` from Node (no effect in the browser)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { computeTilt, OrientationTracker };
+}
@@ -0,0 +1,129 @@
+// Step / repetition detection
+// Counts peaks in the acceleration magnitude - steps, jumps, arm swings or
+// any other repeated movement - and works out their cadence (per minute).
+// The magnitude is taken relative to its own slow average, so it works in
+// any orientation. A peak has to clear an adaptive threshold: the highest
+// of a fixed floor, the stream's calibration noise and a fraction of the
+// recent peak heights (so gentle walking and hard jumping both count once).
+// The recent peak height fades over a few seconds, so the threshold comes
+// back down when hard jumping turns into gentle walking again.
+// Has no p5 dependency (loadable from Node like protocol.js).
+
+const PEAK_MIN_THRESHOLD = 150; // mg above the average magnitude, never less
+const PEAK_NOISE_FACTOR = 4; // Threshold at least 4x the calibration noise,
+const PEAK_NOISE_CAP = 500; // mg - but a calibration taken while moving mustn't hide every peak
+const PEAK_HEIGHT_FACTOR = 0.4; // and 40% of the recent peak height
+const PEAK_MIN_INTERVAL = 250; // ms - at most 240 peaks per minute
+const PEAK_CADENCE_WINDOW = 8; // Recent intervals used for the cadence
+const PEAK_CADENCE_TIMEOUT = 3000; // ms without a peak before the cadence drops to 0
+const PEAK_MEAN_SMOOTHING = 0.02; // Average magnitude follows over ~50 samples
+const PEAK_HEIGHT_SMOOTHING = 0.2; // Recent peak height follows over ~5 peaks
+const PEAK_HEIGHT_DECAY = 5000; // ms - recent peak height fades with this time constant
+const PEAK_MAX_STEP = 1000; // ms - longer silences count as this much decay per sample
+
+class PeakDetector {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.count = 0;
+    this.intervals = []; // ms between recent peaks
+    this.lastPeakTime = null;
+    this.meanMagnitude = null;
+    this.peakHeight = 0; // Smoothed height of recent peaks (mg), fading over time
+    this.candidate = null; // { height, time } of the peak being climbed
+    this.lastTime = null;
+  }
+
+  // Restart the count (keeps the tracked average and peak height)
+  resetCount() {
+    this.count = 0;
+    this.intervals = [];
+    this.lastPeakTime = null;
+  }
+
+  // Current threshold (mg above the average magnitude)
+  getThreshold(noise) {
+    return Math.max(PEAK_MIN_THRESHOLD, Math.min(PEAK_NOISE_CAP, (noise || 0) * PEAK_NOISE_FACTOR), this.peakHeight * PEAK_HEIGHT_FACTOR);
+  }
+
+  // One sample (mg), t in ms, noise = calibration noise (mg).
+  // Returns true when a peak has just been counted.
+  update(x, y, z, t, noise) {
+    // Sender restarted (its clock went back) - start a new rhythm
+    if (this.lastPeakTime !== null && t < this.lastPeakTime) {
+      this.intervals = [];
+      this.lastPeakTime = null;
+    }
+
+    // Let the recent peak height fade
+    if (this.lastTime !== null && t > this.lastTime) {
+      let dt = Math.min(PEAK_MAX_STEP, t - this.lastTime);
+      this.peakHeight *= Math.exp(-dt / PEAK_HEIGHT_DECAY);
+    }
+    this.lastTime = t;
+
+    let magnitude = Math.sqrt(x * x + y * y + z * z);
+    if (this.meanMagnitude === null) {
+      this.meanMagnitude = magnitude;
+      return false;
+    }
+    let height = magnitude - this.meanMagnitude;
+    this.meanMagnitude += (magnitude - this.meanMagnitude) * PEAK_MEAN_SMOOTHING;
+
+    let threshold = this.getThreshold(noise);
+    if (height > threshold) {
+      // Climbing a peak - remember its top
+      if (this.candidate === null || height > this.candidate.height) {
+        this.candidate = { height: height, time: t };
+      }
+      return false;
+    }
+
+    // Back below half the threshold - the peak is over
+    if (this.candidate !== null && height < threshold / 2) {
+      let peak = this.candidate;
+      this.candidate = null;
+      if (this.lastPeakTime !== null && peak.time - this.lastPeakTime < PEAK_MIN_INTERVAL) {
+        return false; // Bounce of the previous peak
+      }
+      this.countPeak(peak);
+      return true;
+    }
+    return false;
+  }
+
+  countPeak(peak) {
+    if (this.lastPeakTime !== null) {
+      let interval = peak.time - this.lastPeakTime;
+      if (interval > PEAK_CADENCE_TIMEOUT) {
+        this.intervals = []; // After a pause - start a new rhythm
+      } else {
+        this.intervals.push(interval);
+        if (this.intervals.length > PEAK_CADENCE_WINDOW) {
+          this.intervals.shift();
+        }
+      }
+    }
+    this.lastPeakTime = peak.time;
+    this.count++;
+    this.peakHeight += (peak.height - this.peakHeight) * PEAK_HEIGHT_SMOOTHING;
+  }
+
+  // Peaks per minute from the recent rhythm (0 when it has stopped).
+  // now = current time on the same clock as update()
+  getCadence(now) {
+    if (this.lastPeakTime === null || now - this.lastPeakTime > PEAK_CADENCE_TIMEOUT) return 0;
+    if (this.intervals.length === 0) return 0;
+
+    let sorted = this.intervals.slice().sort((a, b) => a - b);
+    let median = sorted[Math.floor(sorted.length / 2)];
+    return 60000 / median;
+  }
+}
+
+// Allow `require("./peakDetector.js")` from Node (no effect in the browser)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { PeakDetector };
+}
@@ -0,0 +1,380 @@
+// Shared micro:bit protocol parser
+// Turns one raw serial line into a typed event that every sketch consumes.
+// Has no p5 dependency, so it can also be loaded from Node to test it
+// against captured lines.
+//
+// Line formats:
+//   Registration: S1            (registers stream 1)
+//                 S1 s=-1834027 (with the sender's hardware serial number)
+//   Unassigned:   U-1834027     (sender without an ID asking to be provisioned)
+//   Data:         m1 x=123 y=456 z=789
+//   Data (v2):    m1 x=123 y=456 z=789 n=42 t=183020
+//                 n = sequence number (0-65535, wraps), t = sender input.runningTime() in ms
+//                 Both are optional - old senders without them still parse.
+//   Sensors:      e1 h=215 a=0 b=1 l=80 c=22
+//                 h = compass heading (deg), a/b = button A/B held (0/1),
+//                 l = light level (0-255), c = temperature (°C). Every field is optional.
+//   Button:       b1 A t=183020   (button A, B or AB pressed, t optional)
+//
+//   The receiver appends the radio signal strength to every line it forwards:
+//     m1 x=123 y=456 z=789 r=-67   (r = RSSI in dBm, optional on every line type)
+//
+// Events returned by parseLine():
+//   { type: "registration", id, serial, rssi, raw }
+//   { type: "unassigned", serial, rssi, raw }
+//   { type: "sample", id, x, y, z, seq, time, rssi, raw }   (seq/time/rssi are null when not sent)
+//   { type: "sensors", id, heading, buttonA, buttonB, light, temperature, rssi, raw }   (null when not sent)
+//   { type: "button", id, button, time, rssi, raw }
+//   { type: "unknown", raw }                 (not a protocol line, e.g. debug text)
+//   { type: "malformed", raw, reason }       (looks like protocol, but is broken)
+//
+// Commands (dashboard -> receiver -> senders), one line each:
+//   @<id> <command> [value]     (id = one sender, or * for all senders,
+//                                or #<serial> for one device by hardware serial)
+//   start / stop      resume or pause streaming
+//   rate <ms>         sample interval (default 50 ms)
+//   identify          flash the LEDs so the device can be found
+//   level <0-5|off>   show a motion level on the LED matrix
+//   cal               on-device "hold still" calibration cue
+//   assign <id>       store a new stream ID in flash (0 = unassign)
+//
+// Binary mode (optional, see microbit-sender.js `binaryMode`):
+//   The sender packs a sample with radio.sendBuffer and the receiver forwards
+//   it as a framed record:  [0xA5][len][payload ... len bytes][checksum]
+//   checksum = (len + sum of payload bytes) & 0xFF
+//   Sample payload (14 bytes, little-endian, +1 byte added by the receiver):
+//     [0]     type    0x01
+//     [1]     id      uint8
+//     [2-3]   seq     uint16
+//     [4-7]   time    uint32 (ms)
+//     [8-13]  x, y, z int16 (mg)
+//     [14]    rssi    int8 (dBm, appended by the receiver - optional)
+//   Text bytes are always ASCII (< 0x80), so the 0xA5 sync byte tells the two
+//   apart - FrameDecoder handles a mixed byte stream automatically.
+
+const PROTOCOL_MIN_ID = 1;
+const PROTOCOL_MAX_ID = 255; // Stream ids fit in one byte (binary mode)
+
+const FRAME_SYNC = 0xa5;
+const FRAME_MAX_PAYLOAD = 64;
+const FRAME_TYPE_SAMPLE = 0x01;
+const SAMPLE_PAYLOAD_LENGTH = 14;
+const SENSOR_FIELDS = [
+  ["h", "heading"],
+  ["a", "buttonA"],
+  ["b", "buttonB"],
+  ["l", "light"],
+  ["c", "temperature"],
+  ["r", "rssi"],
+];
+const DEVICE_COMMANDS = ["start", "stop", "rate", "identify", "level", "cal", "assign"];
+const MAX_TEXT_LINE = 256; // Longer runs without a newline are treated as garbage
+
+// Parse a single line into an event object
+function parseLine(line) {
+  let raw = line === null || line === undefined ? "" : String(line).trim();
+
+  if (raw.length === 0) {
+    return { type: "malformed", raw: raw, reason: "empty line" };
+  }
+
+  // Registration: S<id>
+  let reg = raw.match(/^S(\d+)(?=[\s,]|$)(.*)$/);
+  if (reg) {
+    let id = parseInt(reg[1]);
+    if (!isValidStreamId(id)) {
+      return { type: "malformed", raw: raw, reason: `stream id ${id} out of range` };
+    }
+
+    let event = { type: "registration", id: id, raw: raw };
+    let error = readOptionalFields(parseFields(reg[2]), [["s", "serial"], ["r", "rssi"]], event);
+    if (error) return { type: "malformed", raw: raw, reason: error };
+
+    return event;
+  }
+
+  // Unassigned device: U<serial>
+  let unassigned = raw.match(/^U(-?\d+)(?=[\s,]|$)(.*)$/);
+  if (unassigned) {
+    let event = { type: "unassigned", serial: parseInt(unassigned[1]), raw: raw };
+    let error = readOptionalFields(parseFields(unassigned[2]), [["r", "rssi"]], event);
+    if (error) return { type: "malformed", raw: raw, reason: error };
+
+    return event;
+  }
+
+  // Data: m<id> followed by key=value fields
+  let data = raw.match(/^m(\d+)(?=[\s,]|$)(.*)$/);
+  if (data) {
+    let id = parseInt(data[1]);
+    if (!isValidStreamId(id)) {
+      return { type: "malformed", raw: raw, reason: `stream id ${id} out of range` };
+    }
+
+    let fields = parseFields(data[2]);
+    let event = { type: "sample", id: id, raw: raw };
+
+    for (let axis of ["x", "y", "z"]) {
+      if (!(axis in fields)) {
+        return { type: "malformed", raw: raw, reason: `missing ${axis}` };
+      }
+      let value = parseNumber(fields[axis]);
+      if (value === null) {
+        return { type: "malformed", raw: raw, reason: `${axis} is not a number` };
+      }
+      event[axis] = value;
+    }
+
+    // Optional fields: sequence number and sender timestamp
+    let error = readOptionalFields(fields, [["n", "seq"], ["t", "time"], ["r", "rssi"]], event);
+    if (error) return { type: "malformed", raw: raw, reason: error };
+
+    return event;
+  }
+
+  // Sensors: e<id> followed by optional key=value fields
+  let sensors = raw.match(/^e(\d+)(?=[\s,]|$)(.*)$/);
+  if (sensors) {
+    let id = parseInt(sensors[1]);
+    if (!isValidStreamId(id)) {
+      return { type: "malformed", raw: raw, reason: `stream id ${id} out of range` };
+    }
+
+    let event = { type: "sensors", id: id, raw: raw };
+    let error = readOptionalFields(parseFields(sensors[2]), SENSOR_FIELDS, event);
+    if (error) return { type: "malformed", raw: raw, reason: error };
+
+    return event;
+  }
+
+  // Button press: b<id> A|B|AB
+  let button = raw.match(/^b(\d+)\s+(\S+)(.*)$/);
+  if (button) {
+    let id = parseInt(button[1]);
+    if (!isValidStreamId(id)) {
+      return { type: "malformed", raw: raw, reason: `stream id ${id} out of range` };
+    }
+    if (!["A", "B", "AB"].includes(button[2])) {
+      return { type: "malformed", raw: raw, reason: `unknown button ${button[2]}` };
+    }
+
+    let event = { type: "button", id: id, button: button[2], raw: raw };
+    let error = readOptionalFields(parseFields(button[3]), [["t", "time"], ["r", "rssi"]], event);
+    if (error) return { type: "malformed", raw: raw, reason: error };
+
+    return event;
+  }
+
+  return { type: "unknown", raw: raw };
+}
+
+// Copy optional numeric fields onto an event ([key, name] pairs)
+// Missing fields become null. Returns an error reason, or null if all parsed.
+function readOptionalFields(fields, spec, event) {
+  for (let [key, name] of spec) {
+    if (!(key in fields)) {
+      event[name] = null;
+      continue;
+    }
+    let value = parseNumber(fields[key]);
+    if (value === null) {
+      return `${key} is not a number`;
+    }
+    event[name] = value;
+  }
+  return null;
+}
+
+// Split "x=1 y=2,z=3" into { x: "1", y: "2", z: "3" }
+function parseFields(text) {
+  let fields = {};
+  for (let token of text.split(/[\s,]+/)) {
+    let eq = token.indexOf("=");
+    if (eq <= 0) continue;
+    fields[token.slice(0, eq)] = token.slice(eq + 1);
+  }
+  return fields;
+}
+
+// Strict number parsing - "12abc" or "" is rejected instead of truncated
+function parseNumber(text) {
+  if (text === undefined || text.length === 0) return null;
+  let value = Number(text);
+  return isFinite(value) ? value : null;
+}
+
+function isValidStreamId(id) {
+  return id >= PROTOCOL_MIN_ID && id <= PROTOCOL_MAX_ID;
+}
+
+// Build a command line for the receiver to relay
+// target = stream id, "*" (all) or "#<serial>" (one device by hardware serial)
+// Returns null for an unknown command or target.
+function formatCommand(target, command, value) {
+  if (!DEVICE_COMMANDS.includes(command)) return null;
+  let validTarget = target === "*" || isValidStreamId(target) || /^#-?\d+$/.test(target);
+  if (!validTarget) return null;
+
+  let line = `@${target} ${command}`;
+  if (value !== undefined && value !== null) line += ` ${value}`;
+  return line;
+}
+
+// Canonical text form of a sample event (used as `raw` for binary samples)
+function formatSample(event) {
+  let line = `m${event.id} x=${event.x} y=${event.y} z=${event.z}`;
+  if (event.seq !== null && event.seq !== undefined) line += ` n=${event.seq}`;
+  if (event.time !== null && event.time !== undefined) line += ` t=${event.time}`;
+  if (event.rssi !== null && event.rssi !== undefined) line += ` r=${event.rssi}`;
+  return line;
+}
+
+// Text form of a broken binary frame (used as `raw`, so recordings keep it):
+// "frame " + its bytes in hex. Replays it as an unknown line.
+function formatFrameBytes(bytes) {
+  return "frame " + Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join(" ");
+}
+
+// Decode the payload of a binary frame into an event
+function decodeBinaryPayload(payload) {
+  if (payload[0] !== FRAME_TYPE_SAMPLE) {
+    return { type: "malformed", raw: "", reason: `unknown frame type ${payload[0]}` };
+  }
+  if (payload.length !== SAMPLE_PAYLOAD_LENGTH && payload.length !== SAMPLE_PAYLOAD_LENGTH + 1) {
+    return { type: "malformed", raw: "", reason: `sample frame has ${payload.length} bytes` };
+  }
+
+  let view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+  let event = {
+    type: "sample",
+    id: view.getUint8(1),
+    seq: view.getUint16(2, true),
+    time: view.getUint32(4, true),
+    x: view.getInt16(8, true),
+    y: view.getInt16(10, true),
+    z: view.getInt16(12, true),
+    rssi: payload.length > SAMPLE_PAYLOAD_LENGTH ? view.getInt8(14) : null,
+  };
+  event.raw = formatSample(event);
+
+  if (!isValidStreamId(event.id)) {
+    return { type: "malformed", raw: event.raw, reason: `stream id ${event.id} out of range` };
+  }
+  return event;
+}
+
+// Splits a raw serial byte stream into events
+// Text lines go through parseLine(), binary frames are decoded directly
+// (no regex work). Feed it with push(bytes), then call next() until null.
+class FrameDecoder {
+  constructor() {
+    this.buffer = new Uint8Array(0);
+    this.offset = 0; // Start of the unread bytes - consumed bytes are dropped on the next push()
+  }
+
+  // Append received bytes (Uint8Array or array of numbers)
+  push(bytes) {
+    if (!bytes || bytes.length === 0) return;
+    let unread = this.buffer.subarray(this.offset);
+    let merged = new Uint8Array(unread.length + bytes.length);
+    merged.set(unread, 0);
+    merged.set(bytes, unread.length);
+    this.buffer = merged;
+    this.offset = 0;
+  }
+
+  // Next complete event, or null if more bytes are needed
+  next() {
+    let buffer = this.buffer;
+    while (this.offset < buffer.length) {
+      let start = this.offset;
+      let available = buffer.length - start;
+
+      // Binary frame
+      if (buffer[start] === FRAME_SYNC) {
+        if (available < 2) return null;
+        let length = buffer[start + 1];
+        if (length === 0 || length > FRAME_MAX_PAYLOAD) {
+          this.consume(1); // Not a real frame - resync on the next byte
+          continue;
+        }
+        if (available < length + 3) return null;
+
+        let payload = buffer.slice(start + 2, start + 2 + length);
+        let checksum = length;
+        for (let b of payload) checksum = (checksum + b) & 0xff;
+
+        let bytes = buffer.subarray(start, start + length + 3);
+        if (checksum !== buffer[start + 2 + length]) {
+          this.consume(length + 3); // Drop the corrupt frame
+          return { type: "malformed", raw: formatFrameBytes(bytes), reason: "bad checksum" };
+        }
+
+        this.consume(length + 3);
+        let event = decodeBinaryPayload(payload);
+        if (event.raw === "") event.raw = formatFrameBytes(bytes);
+        return event;
+      }
+
+      // Text line - stop at a sync byte or newline, whichever comes first
+      let end = -1;
+      for (let i = start; i < buffer.length; i++) {
+        if (buffer[i] === 0x0a || buffer[i] === FRAME_SYNC) {
+          end = i;
+          break;
+        }
+      }
+      if (end === -1) {
+        if (available > MAX_TEXT_LINE) {
+          let raw = this.takeText(available);
+          return { type: "malformed", raw: raw.slice(0, 40), reason: "line too long" };
+        }
+        return null;
+      }
+
+      let line = this.takeText(end - start).trim();
+      if (buffer[this.offset] === 0x0a) this.consume(1);
+      if (line.length === 0) continue; // Blank line or "\r" left over
+      return parseLine(line);
+    }
+    return null;
+  }
+
+  // Drop everything buffered
+  reset() {
+    this.buffer = new Uint8Array(0);
+    this.offset = 0;
+  }
+
+  consume(count) {
+    this.offset += count;
+  }
+
+  takeText(count) {
+    let text = String.fromCharCode.apply(null, this.buffer.subarray(this.offset, this.offset + count));
+    this.consume(count);
+    return text;
+  }
+}
+
+// Allow `require("./protocol.js")` from Node (no effect in the browser)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PROTOCOL_MIN_ID,
+    PROTOCOL_MAX_ID,
+    FRAME_SYNC,
+    FRAME_TYPE_SAMPLE,
+    MAX_TEXT_LINE,
+    parseLine,
+    parseFields,
+    parseNumber,
+    readOptionalFields,
+    isValidStreamId,
+    DEVICE_COMMANDS,
+    formatCommand,
+    formatSample,
+    formatFrameBytes,
+    decodeBinaryPayload,
+    FrameDecoder,
+  };
+}
@@ -0,0 +1,224 @@
+// Session recording and replay
+// SessionRecorder captures every raw line with its receive time and
+// downloads it as JSONL or CSV. SessionReplay plays a saved file back so the
+// lines go through the same parseLine() path as live data - at 1x, faster
+// than real time, or one line at a time. No hardware needed for replay.
+//
+// File formats (t = receive time in ms since 1970, line = raw protocol line):
+//   JSONL: {"t":1760880000123,"line":"m1 x=12 y=-40 z=1010"}
+//   CSV:   t,line
+//          1760880000123,"m1 x=12 y=-40 z=1010"
+// Binary frames are recorded in their text form (see formatSample in protocol.js),
+// broken ones as their bytes in hex (formatFrameBytes). Sketches hook the
+// recorder into InputManager.setRecorder(), which records as lines arrive.
+// Uses the browser's Blob/file APIs only for download/open - the rest runs in Node.
+
+const REPLAY_SPEEDS = [1, 2, 5, 10];
+
+class SessionRecorder {
+  constructor() {
+    this.entries = [];
+    this.recording = false;
+    this.startTime = 0;
+    this.format = "jsonl"; // "jsonl" or "csv"
+  }
+
+  start() {
+    this.entries = [];
+    this.recording = true;
+    this.startTime = Date.now();
+    console.log("⏺ Recording started");
+  }
+
+  // Stop recording and download the file (returns the number of lines saved)
+  stop() {
+    this.recording = false;
+    let count = this.entries.length;
+    if (count > 0) {
+      this.download(this.format);
+    }
+    console.log(`⏹ Recording stopped - ${count} lines`);
+    return count;
+  }
+
+  // Capture one raw line, t = receive time (ignored while not recording)
+  record(line, t) {
+    if (!this.recording || !line) return;
+    this.entries.push({ t: t !== undefined ? t : Date.now(), line: line });
+  }
+
+  toggleFormat() {
+    this.format = this.format === "jsonl" ? "csv" : "jsonl";
+    return this.format;
+  }
+
+  // Seconds since recording started
+  getDuration() {
+    return this.recording ? (Date.now() - this.startTime) / 1000 : 0;
+  }
+
+  toJSONL() {
+    return this.entries.map((e) => JSON.stringify({ t: e.t, line: e.line })).join("\n") + "\n";
+  }
+
+  toCSV() {
+    let rows = this.entries.map((e) => `${e.t},"${e.line.replace(/"/g, '""')}"`);
+    return "t,line\n" + rows.join("\n") + "\n";
+  }
+
+  download(format) {
+    let stamp = new Date(this.startTime).toISOString().replace(/[:.]/g, "-");
+    if (format === "csv") {
+      downloadText(`oskarbit-session-${stamp}.csv`, this.toCSV(), "text/csv");
+    } else {
+      downloadText(`oskarbit-session-${stamp}.jsonl`, this.toJSONL(), "application/x-ndjson");
+    }
+  }
+}
+
+class SessionReplay {
+  // entries: [{ t, line }] sorted by t (see parseSessionFile)
+  constructor(entries, name) {
+    this.entries = entries;
+    this.name = name || "session";
+    this.index = 0; // Next entry to play
+    this.position = 0; // Playback time in ms since the first entry
+    this.speedIndex = 0;
+    this.paused = false;
+    this.lastUpdate = null;
+    this.startT = entries.length > 0 ? entries[0].t : 0;
+  }
+
+  // Lines that are due since the last call (call once per frame)
+  update(now) {
+    if (now === undefined) now = Date.now();
+    let elapsed = this.lastUpdate === null ? 0 : now - this.lastUpdate;
+    this.lastUpdate = now;
+    if (this.paused || this.isDone()) return [];
+
+    this.position += elapsed * this.getSpeed();
+
+    let due = [];
+    while (this.index < this.entries.length && this.entries[this.index].t - this.startT <= this.position) {
+      due.push(this.entries[this.index].line);
+      this.index++;
+    }
+    return due;
+  }
+
+  // Pause and play exactly one line (null at the end)
+  step() {
+    this.paused = true;
+    if (this.isDone()) return null;
+    let entry = this.entries[this.index++];
+    this.position = entry.t - this.startT;
+    return entry.line;
+  }
+
+  togglePause() {
+    this.paused = !this.paused;
+    return this.paused;
+  }
+
+  // Cycle 1x -> 2x -> 5x -> 10x -> 1x
+  cycleSpeed() {
+    this.speedIndex = (this.speedIndex + 1) % REPLAY_SPEEDS.length;
+    return this.getSpeed();
+  }
+
+  getSpeed() {
+    return REPLAY_SPEEDS[this.speedIndex];
+  }
+
+  // Fastest supported speed that doesn't exceed the requested one
+  setSpeed(speed) {
+    this.speedIndex = 0;
+    while (this.speedIndex < REPLAY_SPEEDS.length - 1 && REPLAY_SPEEDS[this.speedIndex + 1] <= speed) {
+      this.speedIndex++;
+    }
+    return this.getSpeed();
+  }
+
+  isDone() {
+    return this.index >= this.entries.length;
+  }
+
+  // Fraction played (0-1)
+  getProgress() {
+    return this.entries.length > 0 ? this.index / this.entries.length : 1;
+  }
+
+  // Short status text, e.g. "▶ session.jsonl 2x 45%"
+  getStatusText() {
+    let state = this.isDone() ? "■" : this.paused ? "❚❚" : "▶";
+    return `${state} ${this.name} ${this.getSpeed()}x ${(this.getProgress() * 100).toFixed(0)}%`;
+  }
+}
+
+// Parse a JSONL or CSV session file into [{ t, line }] sorted by time
+function parseSessionFile(text) {
+  let entries = [];
+  let lines = text.split(/\r?\n/);
+
+  for (let raw of lines) {
+    let row = raw.trim();
+    if (row.length === 0 || row === "t,line") continue;
+
+    if (row.startsWith("{")) {
+      // JSONL
+      try {
+        let obj = JSON.parse(row);
+        if (typeof obj.line === "string") {
+          entries.push({ t: Number(obj.t) || 0, line: obj.line });
+        }
+      } catch (e) {
+        console.log("Skipping bad session line:", row.slice(0, 60));
+      }
+    } else {
+      // CSV: t,"line"
+      let comma = row.indexOf(",");
+      if (comma <= 0) continue;
+      let line = row.slice(comma + 1);
+      if (line.startsWith('"') && line.endsWith('"')) {
+        line = line.slice(1, -1).replace(/""/g, '"');
+      }
+      entries.push({ t: Number(row.slice(0, comma)) || 0, line: line });
+    }
+  }
+
+  entries.sort((a, b) => a.t - b.t);
+  return entries;
+}
+
+// Ask the user for a session file, then call callback(entries, fileName)
+function openSessionFile(callback) {
+  let input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".jsonl,.csv,.txt";
+  input.onchange = () => {
+    let file = input.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+      let entries = parseSessionFile(text);
+      console.log(`Loaded ${entries.length} lines from ${file.name}`);
+      callback(entries, file.name);
+    });
+  };
+  input.click();
+}
+
+// Save text as a file download
+function downloadText(filename, text, type) {
+  let blob = new Blob([text], { type: type || "text/plain" });
+  let url = URL.createObjectURL(blob);
+  let a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000); // Give the download time to start
+}
+
+// Allow `require("./recorder.js")` from Node (no effect in the browser)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { REPLAY_SPEEDS, SessionRecorder, SessionReplay, parseSessionFile };
+}
@@ -0,0 +1,153 @@
+// Time-aware sample store
+// Keeps a stream's recent samples by time instead of by arrival order, so
+// streams with different sample rates, dropouts or late messages can be
+// drawn and analysed side by side: resample() puts them on a common time
+// grid, interpolating between samples and marking the gaps where a stream
+// sent nothing.
+//
+// Devices have their own clocks, so samples are kept on the sender's clock
+// (t=) and mapped onto the dashboard's clock when they are read, with the
+// smallest arrival delay seen so far - that keeps radio jitter out of the
+// alignment, and a smaller delay seen later moves every sample alike.
+// Streams without t= use the arrival time directly. Samples that arrive out
+// of order are put back in place.
+// Has no p5 dependency (loadable from Node like protocol.js).
+
+const STORE_HISTORY = 20000; // ms of samples kept per stream
+const STORE_MIN_GAP = 150; // ms - a silence at least this long is always bridged by interpolation
+const STORE_GAP_FACTOR = 3; // Silences longer than this many sample intervals are gaps
+const STORE_RESTART = 2000; // ms - sender time going back more than this = sender restarted
+
+class SampleStore {
+  constructor(history) {
+    this.history = history || STORE_HISTORY;
+    this.reset();
+  }
+
+  reset() {
+    this.samples = []; // { t (store time, ms), values: [...] }, oldest first
+    this.shift = 0; // Store time - sender time (changes when the sender restarts)
+    this.offset = null; // Smallest arrival - store time seen (ms): dashboard = store time + offset
+    this.lastTime = null; // Latest sender time
+    this.interval = null; // Typical time between samples (ms, running average)
+  }
+
+  // One sample (values = any number of channels), time = sender time (or
+  // arrival time), arrival = Date.now(). Returns its store time (see toClock()).
+  add(values, time, arrival) {
+    // Sender restarted (its clock went back) - carry on from its arrival, so
+    // the samples before the restart stay where they are. A message that is
+    // only a little older just arrived out of order.
+    if (this.lastTime !== null && this.lastTime - time > STORE_RESTART) {
+      this.shift = arrival - this.offset - time;
+      this.lastTime = null;
+    }
+    if (this.lastTime === null || time > this.lastTime) this.lastTime = time;
+
+    let t = time + this.shift;
+    let offset = arrival - t;
+    if (this.offset === null || offset < this.offset) this.offset = offset;
+
+    // Insert in time order (at the end, unless it arrived late)
+    let s = this.samples;
+    let i = s.length;
+    while (i > 0 && s[i - 1].t > t) i--;
+    s.splice(i, 0, { t: t, values: values });
+
+    // Typical interval from neighbouring samples (late ones would skew it)
+    if (i === s.length - 1 && i > 0) {
+      let gap = t - s[i - 1].t;
+      if (gap > 0) this.interval = this.interval === null ? gap : this.interval * 0.9 + gap * 0.1;
+    }
+
+    let latest = s[s.length - 1].t;
+    while (s.length > 0 && latest - s[0].t > this.history) {
+      s.shift();
+    }
+    return t;
+  }
+
+  isEmpty() {
+    return this.samples.length === 0;
+  }
+
+  // Store time (from add()) on the dashboard clock
+  toClock(t) {
+    return t + (this.offset || 0);
+  }
+
+  // Latest sample time on the dashboard clock, or null
+  getLatest() {
+    return this.samples.length > 0 ? this.toClock(this.samples[this.samples.length - 1].t) : null;
+  }
+
+  // Sample rate (Hz, 0 if not known yet)
+  getRate() {
+    return this.interval > 0 ? 1000 / this.interval : 0;
+  }
+
+  // Longest silence (ms) that is still interpolated across
+  getGapLimit() {
+    return Math.max(STORE_MIN_GAP, (this.interval || 0) * STORE_GAP_FACTOR);
+  }
+
+  // Every channel at each grid time (dashboard clock) from start (inclusive)
+  // to end, step ms apart, linearly interpolated:
+  //   { times, values: [channel][point] (null where there is no data),
+  //     gaps: [{ start, end }] (grid times the stream was silent, incl. since its latest sample) }
+  // Before the first sample there is no data, but no gap either.
+  resample(start, end, step) {
+    let s = this.samples;
+    let limit = this.getGapLimit();
+    let channels = s.length > 0 ? s[0].values.length : 0;
+    let count = Math.floor((end - start) / step + 1e-9) + 1;
+    let times = [];
+    let values = [];
+    for (let c = 0; c < channels; c++) values.push([]);
+    let gaps = [];
+    let gap = null;
+    let k = 0;
+
+    for (let i = 0; i < count; i++) {
+      let time = start + i * step;
+      let t = time - (this.offset || 0); // Store time
+      while (k < s.length - 1 && s[k + 1].t <= t) k++;
+      let a = s[k];
+      let b = s[k + 1];
+      let point = null; // Interpolated values, or null
+      let silent = false;
+
+      if (a === undefined || t < a.t) {
+        // No data yet
+      } else if (b === undefined) {
+        // After the latest sample: hold it until the silence is too long
+        if (t - a.t <= limit) point = a.values;
+        else silent = true;
+      } else if (b.t - a.t > limit) {
+        silent = true;
+      } else {
+        let f = b.t === a.t ? 0 : (t - a.t) / (b.t - a.t);
+        point = a.values.map((v, c) => v + (b.values[c] - v) * f);
+      }
+
+      times.push(time);
+      for (let c = 0; c < channels; c++) values[c].push(point === null ? null : point[c]);
+
+      if (silent) {
+        if (gap === null) {
+          gap = { start: time, end: time };
+          gaps.push(gap);
+        }
+        gap.end = time;
+      } else {
+        gap = null;
+      }
+    }
+    return { times: times, values: values, gaps: gaps };
+  }
+}
+
+// Allow `require("./sampleStore.js")` from Node (no effect in the browser)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { STORE_HISTORY, SampleStore };
+}
@@ -0,0 +1,235 @@
+// Device simulator
+// Generates 1-N virtual micro:bit streams in the same "S<id>" / "m<id> x= y= z="
+// format the receiver sends, so every sketch can run without hardware.
+// It behaves like the serial port: readBytes() returns the bytes that
+// "arrived" since the last call, so lines go through the FrameDecoder,
+// recorder and backlog handling exactly like live data.
+//
+// Scenarios (one per stream, or "mixed" to give each stream a different one):
+//   still     - lying flat, realistic 4G accelerometer noise
+//   wave      - periodic waving (~1.2 Hz)
+//   shake     - shaking bursts of ~1.5 s every 5 s
+//   freefall  - drop every 6 s: ~0 g for 0.4 s, then an impact spike
+//   dropout   - waving, with 2.5 s silences and ~5% random packet loss
+//   malformed - still, but ~20% of lines are broken (truncated, bad numbers, bad IDs...)
+//
+// Open a sketch with e.g. index.html?sim=6&scenario=mixed&rate=20 to start it
+// straight away (see inputSources.js).
+// Has no p5 dependency (loadable from Node like protocol.js).
+
+const SIM_SCENARIOS = ["still", "wave", "shake", "freefall", "dropout", "malformed"];
+const SIM_GRAVITY = 1024; // mg
+const SIM_NOISE = 14; // mg standard deviation when still (~±40 mg peak)
+const SIM_RANGE = 4095; // mg - clipped like the 4G accelerometer range
+const SIM_REGISTER_INTERVAL = 5000; // ms between "S<id>" registrations
+const SIM_MAX_CATCH_UP = 1000; // ms - don't generate more than this after a pause (e.g. hidden tab)
+const SIM_DEFAULT_RATE = 20; // Hz
+const SIM_MIN_RATE = 1; // Hz
+const SIM_MAX_RATE = 100; // Hz - beyond this one catch-up would build a huge batch of lines
+
+class SimulatedDevice {
+  constructor(id, scenario, random) {
+    this.id = id;
+    this.scenario = scenario;
+    this.random = random;
+    this.seq = 0;
+    this.phase = random() * Math.PI * 2; // So devices don't move in lockstep
+
+    // Slight random tilt - gravity mostly on -Z (lying face up)
+    this.gx = (random() - 0.5) * 160;
+    this.gy = (random() - 0.5) * 160;
+    this.gz = -Math.sqrt(SIM_GRAVITY * SIM_GRAVITY - this.gx * this.gx - this.gy * this.gy);
+  }
+
+  // Gaussian noise (Box-Muller)
+  noise(sd) {
+    let u = 1 - this.random();
+    let v = this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v) * sd;
+  }
+
+  // Acceleration at time t (seconds since start), or null when the device is silent
+  sample(t) {
+    let x = this.gx;
+    let y = this.gy;
+    let z = this.gz;
+    let sd = SIM_NOISE;
+
+    if (this.scenario === "wave" || this.scenario === "dropout") {
+      let w = 2 * Math.PI * 1.2 * t + this.phase;
+      x += 600 * Math.sin(w);
+      y += 250 * Math.sin(2 * w);
+      z += 150 * Math.cos(w);
+
+      if (this.scenario === "dropout" && t % 8 > 5.5) return null;
+    } else if (this.scenario === "shake") {
+      if ((t + this.phase) % 5 < 1.5) sd = 1200;
+    } else if (this.scenario === "freefall") {
+      let cycle = (t + this.phase) % 6;
+      if (cycle >= 4 && cycle < 4.4) {
+        // Falling - the accelerometer reads close to 0 g
+        x = 0;
+        y = 0;
+        z = 0;
+      } else if (cycle >= 4.4 && cycle < 4.5) {
+        // Impact
+        x *= 3;
+        y *= 3;
+        z *= 3;
+        sd = 800;
+      }
+    }
+
+    return {
+      x: simClip(x + this.noise(sd)),
+      y: simClip(y + this.noise(sd)),
+      z: simClip(z + this.noise(sd)),
+    };
+  }
+
+  // Protocol line for one sample (null if nothing is sent)
+  line(t, senderTime, timing) {
+    let s = this.sample(t);
+    if (s === null) return null;
+
+    let seq = this.seq;
+    this.seq = (this.seq + 1) % 65536;
+    if (this.scenario === "dropout" && this.random() < 0.05) return null; // Lost packet
+
+    let line = `m${this.id} x=${s.x} y=${s.y} z=${s.z}`;
+    if (timing) line += ` n=${seq} t=${senderTime}`;
+
+    if (this.scenario === "malformed" && this.random() < 0.2) {
+      return this.breakLine(line);
+    }
+    return line;
+  }
+
+  // A realistic way for a line to go wrong
+  breakLine(line) {
+    let kind = Math.floor(this.random() * 6);
+    if (kind === 0) return line.slice(0, 1 + Math.floor(this.random() * (line.length - 1))); // Truncated
+    if (kind === 1) return line.replace(/y=-?\d+/, "y=1o2"); // Corrupted number
+    if (kind === 2) return line.replace(/ z=-?\d+/, ""); // Missing axis
+    if (kind === 3) return line.replace(/^m\d+/, "m300"); // Stream ID out of range
+    if (kind === 4) return "#?" + line.slice(3, 9); // Garbage
+    return ""; // Empty line
+  }
+}
+
+class DeviceSimulator {
+  // options: { streams: 4, scenario: "mixed", rate: 20 (Hz, 1-100), timing: true, seed }
+  constructor(options) {
+    options = options || {};
+    this.streamCount = Math.max(1, Math.min(255, options.streams || 4));
+    this.scenario = options.scenario || "mixed";
+    // Clamped: a zero or negative rate would never finish a catch-up
+    let rate = Number(options.rate);
+    this.rate = Number.isFinite(rate) && rate > 0 ? Math.max(SIM_MIN_RATE, Math.min(SIM_MAX_RATE, rate)) : SIM_DEFAULT_RATE;
+    this.timing = options.timing !== false; // Send n= / t= like the real sender
+    this.random = options.seed !== undefined ? simSeededRandom(options.seed) : Math.random;
+    this.running = false;
+    this.devices = [];
+  }
+
+  start(now) {
+    if (now === undefined) now = Date.now();
+    this.devices = [];
+    for (let i = 0; i < this.streamCount; i++) {
+      let scenario = this.scenario === "mixed" ? SIM_SCENARIOS[i % SIM_SCENARIOS.length] : this.scenario;
+      this.devices.push(new SimulatedDevice(i + 1, scenario, this.random));
+    }
+    this.startTime = now;
+    this.nextSample = now;
+    this.nextRegister = now;
+    this.running = true;
+    console.log(`🧪 Simulator: ${this.streamCount} stream(s), ${this.scenario}, ${this.rate} Hz`);
+  }
+
+  stop() {
+    this.running = false;
+    console.log("🧪 Simulator stopped");
+  }
+
+  // Switch every stream to a scenario ("mixed" or one of SIM_SCENARIOS)
+  setScenario(scenario) {
+    this.scenario = scenario;
+    for (let i = 0; i < this.devices.length; i++) {
+      this.devices[i].scenario = scenario === "mixed" ? SIM_SCENARIOS[i % SIM_SCENARIOS.length] : scenario;
+    }
+    console.log(`🧪 Simulator scenario: ${scenario}`);
+  }
+
+  // mixed -> still -> wave -> ... -> malformed -> mixed
+  cycleScenario() {
+    let all = ["mixed"].concat(SIM_SCENARIOS);
+    this.setScenario(all[(all.indexOf(this.scenario) + 1) % all.length]);
+    return this.scenario;
+  }
+
+  // Lines "received" since the last call
+  update(now) {
+    if (!this.running) return [];
+    if (now === undefined) now = Date.now();
+
+    let lines = [];
+    let interval = 1000 / this.rate;
+    this.nextSample = Math.max(this.nextSample, now - SIM_MAX_CATCH_UP);
+
+    while (this.nextSample <= now) {
+      let senderTime = Math.round(this.nextSample - this.startTime);
+
+      if (this.nextSample >= this.nextRegister) {
+        for (let device of this.devices) lines.push(`S${device.id}`);
+        this.nextRegister += SIM_REGISTER_INTERVAL;
+      }
+
+      for (let device of this.devices) {
+        let line = device.line(senderTime / 1000, senderTime, this.timing);
+        if (line !== null) lines.push(line);
+      }
+      this.nextSample += interval;
+    }
+    return lines;
+  }
+
+  // Same as port.readBytes(): newline-terminated bytes since the last call
+  readBytes(now) {
+    let lines = this.update(now);
+    if (lines.length === 0) return new Uint8Array(0);
+    return new TextEncoder().encode(lines.join("\n") + "\n");
+  }
+}
+
+// Simulator configured from the page URL (?sim=<streams>&scenario=&rate=&seed=)
+function createSimulatorFromUrl() {
+  let params = typeof window !== "undefined" ? new URLSearchParams(window.location.search) : null;
+  let simulator = new DeviceSimulator({
+    streams: params && params.get("sim") ? parseInt(params.get("sim")) : 4,
+    scenario: params && params.get("scenario") ? params.get("scenario") : "mixed",
+    rate: params && params.get("rate") ? parseFloat(params.get("rate")) : SIM_DEFAULT_RATE,
+    seed: params && params.get("seed") ? parseInt(params.get("seed")) : undefined,
+  });
+  return simulator;
+}
+
+function simClip(v) {
+  return Math.round(Math.max(-SIM_RANGE, Math.min(SIM_RANGE, v)));
+}
+
+// Small deterministic PRNG (mulberry32) so test runs can be repeated
+function simSeededRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Allow `require("./simulator.js")` from Node (no effect in the browser)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { SIM_SCENARIOS, SimulatedDevice, DeviceSimulator };
+}
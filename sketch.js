@@ -1,7 +1,6 @@
-// Serial port
-let port;
+// Data input - serial port, simulator, replay or WebSocket (see inputSources.js)
 const BAUDRATE = 115200;
-const MAX_STREAMS = 6;
+let input = new InputManager(BAUDRATE);
 
 let streamData = {};
 let messageCount = 0;
@@ -12,27 +11,74 @@ let messagesPerSecond = 0;
 const TABLE_START_Y = 100;
 const ROW_HEIGHT = 60;
 const HEADER_HEIGHT = 50;
-
-// Stream colors
-const STREAM_COLORS = [
-  [100, 150, 255],
-  [100, 255, 150],
-  [255, 180, 100],
-  [200, 150, 255],
-  [255, 150, 180],
-  [255, 230, 100],
-];
+const MIN_TABLE_ROWS = 6; // Table never shrinks below this (empty rows are blank)
+const STATUS_PANEL_HEIGHT = 180;
+const ACTIVITY_PANEL_WIDTH = 380; // Beside the status panel when the window is wide enough, else below it
+let tablePage = 0; // Current table page when there are more streams than rows
+
+// Motion metric ('T' toggles):
+//   "baseline" - distance from the calibration baseline (orientation at calibration time)
+//   "linear"   - distance from a slowly tracked gravity estimate (tilting doesn't count as motion)
+let motionMetric = "baseline";
+const GRAVITY_TIME_CONSTANT = 1.0; // Seconds - slower = less motion leaks into the gravity estimate
+
+// Background auto-calibration ('A' toggles) - baselines follow devices that
+// are put down in a new position (see driftTracker.js)
+let autoCalibrate = false;
+
+// Activity metrics panel - epoch length shown ('E' cycles, see activityMetrics.js)
+let activityEpoch = 10;
+
+// Gesture events of all streams (see gestureDetector.js), newest last
+let gestureLog = []; // { id, event, arrival }
+const GESTURE_LOG_SIZE = 5; // Events listed in the top left corner
+const GESTURE_LOG_FADE = 10000; // ms before an event fades out of the list
+
+// Group synchrony view ('Y' swaps the table for the heat map, see synchrony.js)
+let syncView = false;
+let synchrony = null; // Latest computeSynchrony() result
+let lastSyncUpdate = 0;
+const SYNC_INTERVAL = 500; // ms between synchrony updates
+
+// Custom gesture trainer ('U' opens it, see gestureTrainer.js)
+let trainer = new GestureTrainer();
+let trainerOpen = false;
+let trainerIndex = 0; // Selected gesture
+let trainerStreamId = null; // Stream the examples are recorded from
+let trainerNaming = null; // Name being typed for a new gesture (null = not naming)
+let trainerRecording = null; // { id, name, samples } while an example is recorded
+let trainerMessage = ""; // Outcome of the last action
+
+// Device commands (sent over the serial port, relayed by the receiver)
+let devicesPaused = false;
+let deviceSampleInterval = 50; // ms between samples on the senders
+let showLevelsOnDevices = false; // Mirror each stream's motion level on its LED matrix
+const LEVEL_SEND_INTERVAL = 250; // Min ms between level updates to one device
+
+// ID provisioning - devices without an ID broadcast their hardware serial
+let unassignedDevices = {}; // Key: hardware serial, Value: { serial, rssi, lastSeen }
+let provisioningOpen = false; // 'D' opens the Device IDs overlay
+let provisioningIndex = 0; // Selected row in the overlay
+let provisioningInput = ""; // Typed stream ID
+
+// Session recording
+let recorder = new SessionRecorder();
+
+// Display smoothing (see filters.js) - a chain saved from the sketchGraphs.js
+// filter editor replaces this default. Motion detection always uses raw data.
+const DISPLAY_FILTERS = [{ type: "ema", params: { alpha: 0.15 } }];
 
 class DataStream {
   constructor(id) {
     this.id = id;
-    this.color = STREAM_COLORS[(id - 1) % STREAM_COLORS.length];
+    this.color = getStreamColor(id);
     this.lastUpdate = Date.now();
 
-    // Display values (smoothed)
+    // Display values (filtered)
     this.x = 0;
     this.y = 0;
     this.z = 0;
+    this.filters = new FilterPipeline(loadFilterConfig(DISPLAY_FILTERS));
 
     // Raw values (for motion detection)
     this.rawX = 0;
@@ -54,8 +100,121 @@ class DataStream {
     // Motion detection with hysteresis
     this.motion = 0;
     this.distance = 0; // For debugging display
+
+    // Tilt (pitch/roll in degrees, plus the smoothed compass heading when reported)
+    this.orientation = new OrientationTracker();
+    this.pitch = 0;
+    this.roll = 0;
+
+    // Gravity estimate (low-pass of raw data) for the "linear" motion metric
+    this.gravityX = null;
+    this.gravityY = 0;
+    this.gravityZ = 0;
     this.calibrationQuality = "UNKNOWN";
     this.lastMotionTime = Date.now(); // For stuck motion detection
+
+    // Stillness windows for background auto-calibration
+    this.drift = new DriftTracker();
+
+    // Step / repetition counting (see peakDetector.js)
+    this.steps = new PeakDetector();
+    this.lastSampleTime = 0; // Sender time (or arrival time) of the latest sample
+
+    // ENMO, jerk, energy and activity counts per epoch (see activityMetrics.js)
+    this.activity = new ActivityMetrics();
+
+    // Shake / double tap / tilt / free-fall events (see gestureDetector.js)
+    this.gestures = new GestureDetector();
+
+    // Matching against the trainer's custom gestures (see gestureTrainer.js)
+    this.matcher = new GestureMatcher();
+
+    // Recent magnitude on the dashboard's clock, for group synchrony (see synchrony.js)
+    this.sync = new SyncBuffer();
+
+    // Link quality (packet loss, jitter, sample rate, signal strength)
+    this.link = new LinkStats();
+    this.weakSignal = false;
+
+    // Spike rejection ahead of smoothing and motion detection (see filters.js)
+    this.outliers = new OutlierRejector();
+    this.noisy = false;
+
+    // On-board sensors (null until the sender reports them)
+    this.heading = null;
+    this.buttonA = false;
+    this.buttonB = false;
+    this.light = null;
+    this.temperature = null;
+
+    // Button presses sent from the device (for marking moments)
+    this.buttonEvents = [];
+
+    // Last motion level shown on the device's LED matrix
+    this.sentLevel = null;
+    this.sentLevelTime = 0;
+
+    // Hardware serial(s) reporting this ID - more than one = ID collision
+    this.serial = null;
+    this.serialsSeen = {}; // Key: serial, Value: last seen time
+  }
+
+  // Track the hardware serial sent with each registration
+  trackSerial(serial) {
+    if (serial === null || serial === undefined) return;
+    if (this.serial !== null && this.serial !== serial && !this.hasIdConflict()) {
+      console.log(`⚠️ Stream ${this.id}: two devices use this ID (${this.serial} and ${serial}) - press 'D' to reassign one`);
+    }
+    this.serial = serial;
+    this.serialsSeen[serial] = Date.now();
+  }
+
+  // Two devices registered with this ID recently (they re-register every ~5 s)
+  hasIdConflict() {
+    let now = Date.now();
+    return Object.values(this.serialsSeen).filter((t) => now - t < 15000).length > 1;
+  }
+
+  // Store on-board sensor readings - fields the sender left out keep their last value
+  updateSensors(event) {
+    if (event.heading !== null) {
+      this.heading = event.heading;
+      this.orientation.updateHeading(event.heading);
+    }
+    if (event.buttonA !== null) this.buttonA = event.buttonA === 1;
+    if (event.buttonB !== null) this.buttonB = event.buttonB === 1;
+    if (event.light !== null) this.light = event.light;
+    if (event.temperature !== null) this.temperature = event.temperature;
+  }
+
+  // Record a button press event from the device
+  addButtonEvent(button, senderTime) {
+    this.buttonEvents.push({ button: button, time: Date.now(), senderTime: senderTime });
+    if (this.buttonEvents.length > 50) {
+      this.buttonEvents.shift();
+    }
+    console.log(`Stream ${this.id} button ${button} pressed`);
+  }
+
+  // Whether a button was pressed within the last `ms` milliseconds
+  recentlyPressed(button, ms) {
+    let last = this.buttonEvents[this.buttonEvents.length - 1];
+    return last && last.button.includes(button) && Date.now() - last.time < ms;
+  }
+
+  // Track sequence number / sender timestamp of an incoming packet
+  trackPacket(seq, senderTime) {
+    this.link.record(seq, senderTime, Date.now());
+  }
+
+  // Track radio signal strength (warns once when the device gets close to dropping out)
+  trackSignal(rssi) {
+    this.link.recordSignal(rssi);
+    let weak = this.link.isWeakSignal();
+    if (weak && !this.weakSignal) {
+      console.log(`⚠️ Stream ${this.id} weak signal (${this.link.getSignalStrength().toFixed(0)} dBm) - move closer to the receiver`);
+    }
+    this.weakSignal = weak;
   }
 
   startCalibration() {
@@ -64,14 +223,37 @@ class DataStream {
     console.log(`Stream ${this.id} calibrating...`);
   }
 
-  update(x, y, z) {
+  // One accelerometer sample (mg), time = sender time in ms (or arrival time)
+  update(x, y, z, time) {
     if (isNaN(x) || isNaN(y) || isNaN(z)) return;
 
+    // Replace single-sample spikes (e.g. a truncated x= value). The cleaned
+    // sample lags 2 samples behind, and nothing comes out until the window fills
+    let clean = this.outliers.process(x, y, z);
+    if (clean === null) return;
+    x = clean.x;
+    y = clean.y;
+    z = clean.z;
+
+    // Warn once when a device keeps sending spikes
+    let noisy = this.outliers.isNoisy();
+    if (noisy && !this.noisy) {
+      console.log(`⚠️ Stream ${this.id} is sending corrupted samples (${(this.outliers.getRecentRate() * 100).toFixed(1)}% rejected) - check the device and its radio link`);
+    }
+    this.noisy = noisy;
+
     // Store raw values immediately
     this.rawX = x;
     this.rawY = y;
     this.rawZ = z;
 
+    this.updateGravity(x, y, z);
+    this.orientation.update(x, y, z);
+    this.pitch = this.orientation.pitch;
+    this.roll = this.orientation.roll;
+    this.activity.update(x, y, z, time, this.link.getSampleRate());
+    this.sync.add(x, y, z, time, Date.now());
+
     // CALIBRATION: Collect 60 samples for better validation
     if (this.calibrating) {
       this.calibrationData.push({ x, y, z });
@@ -87,16 +269,42 @@ class DataStream {
       return;
     }
 
-    // NORMAL: Apply moderate smoothing to display values only
-    let alpha = 0.15;
-    this.x = this.x + (x - this.x) * alpha;
-    this.y = this.y + (y - this.y) * alpha;
-    this.z = this.z + (z - this.z) * alpha;
+    // Count steps / repetitions from the acceleration magnitude
+    this.steps.update(x, y, z, time, this.calibrationNoise);
+    this.lastSampleTime = time;
 
-    // Calculate motion using RAW data (not smoothed)
-    let dx = this.rawX - this.baseX;
-    let dy = this.rawY - this.baseY;
-    let dz = this.rawZ - this.baseZ;
+    // Discrete gesture events (thresholds scale with the calibration noise)
+    for (let event of this.gestures.update(x, y, z, time, this.calibrationNoise)) {
+      logGesture(this.id, event);
+    }
+
+    // Custom gestures - record an example, or match the trained ones
+    if (trainerRecording !== null && trainerRecording.id === this.id) {
+      recordTrainerSample(x, y, z);
+    } else {
+      let match = this.matcher.update(x, y, z, time, trainer);
+      if (match !== null) logGesture(this.id, match);
+    }
+
+    // AUTO-CALIBRATION: follow the baseline while the device is held still
+    if (autoCalibrate) {
+      this.updateDrift(x, y, z);
+    }
+
+    // NORMAL: Filter the display values only
+    let filtered = this.filters.process(x, y, z, time);
+    this.x = filtered.x;
+    this.y = filtered.y;
+    this.z = filtered.z;
+
+    // Calculate motion using RAW data (not smoothed) - relative to the
+    // current gravity estimate, or to the calibration baseline
+    let refX = motionMetric === "linear" ? this.gravityX : this.baseX;
+    let refY = motionMetric === "linear" ? this.gravityY : this.baseY;
+    let refZ = motionMetric === "linear" ? this.gravityZ : this.baseZ;
+    let dx = this.rawX - refX;
+    let dy = this.rawY - refY;
+    let dz = this.rawZ - refZ;
 
     // Use proper Euclidean distance
     let euclideanDistance = Math.sqrt(dx * dx + dy * dy + dz * dz);
@@ -146,6 +354,40 @@ class DataStream {
     this.lastUpdate = Date.now();
   }
 
+  // Low-pass filter that follows slow changes (tilt) but not quick motion.
+  // Subtracting it from the raw signal leaves the linear acceleration.
+  updateGravity(x, y, z) {
+    if (this.gravityX === null) {
+      this.gravityX = x;
+      this.gravityY = y;
+      this.gravityZ = z;
+      return;
+    }
+    let rate = this.link.getSampleRate() || 20; // Hz, assume the default rate until measured
+    let alpha = 1 - Math.exp(-1 / (rate * GRAVITY_TIME_CONSTANT));
+    this.gravityX += (x - this.gravityX) * alpha;
+    this.gravityY += (y - this.gravityY) * alpha;
+    this.gravityZ += (z - this.gravityZ) * alpha;
+  }
+
+  // Nudge the baseline and noise estimate towards a still window
+  updateDrift(x, y, z) {
+    let still = this.drift.add(x, y, z);
+    if (still === null) return;
+
+    let reported = this.drift.adjustments;
+    let base = this.drift.adjust({ x: this.baseX, y: this.baseY, z: this.baseZ }, still);
+    this.baseX = base.x;
+    this.baseY = base.y;
+    this.baseZ = base.z;
+    this.setNoiseLevel(this.drift.blend(this.calibrationNoise, still.noise));
+    this.gestures.setRest(this.baseX, this.baseY, this.baseZ);
+
+    if (this.drift.adjustments > reported) {
+      console.log(`Stream ${this.id} baseline adjusted by ${this.drift.lastAdjustment.shift.toFixed(0)}mg (device still)`);
+    }
+  }
+
   finishCalibration() {
     // Calculate baseline average
     let sumX = 0, sumY = 0, sumZ = 0;
@@ -174,7 +416,29 @@ class DataStream {
     let stdZ = Math.sqrt(varZ);
     
     // Overall noise level
-    this.calibrationNoise = Math.sqrt(stdX * stdX + stdY * stdY + stdZ * stdZ);
+    this.setNoiseLevel(Math.sqrt(stdX * stdX + stdY * stdY + stdZ * stdZ));
+
+    // Initialize smoothed values and gravity estimate to baseline
+    this.x = this.baseX;
+    this.y = this.baseY;
+    this.z = this.baseZ;
+    this.filters.reset();
+    this.filters.process(this.baseX, this.baseY, this.baseZ, this.lastSampleTime);
+    this.gravityX = this.baseX;
+    this.gravityY = this.baseY;
+    this.gravityZ = this.baseZ;
+    this.drift.reset();
+    this.gestures.setRest(this.baseX, this.baseY, this.baseZ);
+
+    this.calibrating = false;
+    console.log(
+      `Stream ${this.id} calibrated | Noise: ${this.calibrationNoise.toFixed(1)}mg | Quality: ${this.calibrationQuality} | Deadzone: ${this.deadzone.toFixed(0)}mg`
+    );
+  }
+
+  // Noise level (mg) -> calibration quality, deadzone and motion thresholds
+  setNoiseLevel(noise) {
+    this.calibrationNoise = noise;
 
     // Validate calibration quality (adjusted for 4G range)
     if (this.calibrationNoise > 500) {
@@ -198,16 +462,6 @@ class DataStream {
       baseThreshold * 10,      // 4->5: Active -> Energetic
       baseThreshold * 16       // 5->max: Energetic -> Maximum
     ];
-
-    // Initialize smoothed values to baseline
-    this.x = this.baseX;
-    this.y = this.baseY;
-    this.z = this.baseZ;
-
-    this.calibrating = false;
-    console.log(
-      `Stream ${this.id} calibrated | Noise: ${this.calibrationNoise.toFixed(1)}mg | Quality: ${this.calibrationQuality} | Deadzone: ${this.deadzone.toFixed(0)}mg`
-    );
   }
 
   isActive() {
@@ -221,6 +475,11 @@ class DataStream {
     return this.calibrationQuality === "GOOD - Device was steady" ? "READY" : "ACTIVE";
   }
 
+  // Steps / reps per minute (0 once the rhythm has stopped)
+  getCadence() {
+    return this.steps.getCadence(this.lastSampleTime);
+  }
+
   getMotionLabel() {
     return ["STILL", "MICRO", "SLIGHT", "MODERATE", "ACTIVE", "ENERGETIC"][this.motion];
   }
@@ -241,70 +500,481 @@ function setup() {
   createCanvas(windowWidth, windowHeight);
   frameRate(60);
 
-  port = createSerial();
-  let usedPorts = usedSerialPorts();
-  if (usedPorts.length > 0) {
-    port.open(usedPorts[0], BAUDRATE);
-  }
+  input.setRecorder(recorder); // Records lines as they arrive
+  input.begin();
 
   console.log("=== DATA MONITOR ===");
   console.log("Press 'S' to connect");
-  console.log("Press 'C' to recalibrate all streams");
+  console.log("Press 'C' to recalibrate all streams (devices show a 'hold still' cue)");
+  console.log("Press 'I' to flash device LEDs, 'P' to pause/resume devices");
+  console.log("Press ',' / '.' to slow down / speed up device sampling");
+  console.log("Press 'L' to show motion levels on the devices' LEDs");
+  console.log("Press 'D' to assign / change device IDs");
+  console.log("Press 'T' to switch motion metric (linear acceleration / distance from baseline)");
+  console.log("Press 'R' to reset the step / rep counts");
+  console.log("Press 'A' for background auto-calibration (baselines follow devices put down in a new position)");
+  console.log("Press 'M' for the device simulator, 'O' to replay a session file, 'W' for a WebSocket bridge");
+  console.log("Press 'B' to connect a Bluetooth micro:bit (no receiver needed), again to add more");
 }
 
 function draw() {
   background(20);
 
-  // Read data (limit to prevent lag)
-  if (port && port.opened()) {
-    for (let i = 0; i < 50; i++) {
-      let data = port.readUntil("\n");
-      if (!data) break;
-      parseMessage(data.trim());
-    }
+  // Read data from the current input (limit to prevent lag)
+  input.poll();
+  for (let i = 0; i < 50; i++) {
+    let event = input.next();
+    if (!event) break;
+    handleEvent(event);
+  }
+
+  if (showLevelsOnDevices) {
+    sendMotionLevels();
   }
 
   drawHeader();
-  drawTable();
+  drawGestureLog();
+  if (syncView) {
+    updateSynchrony();
+    drawSynchrony();
+  } else {
+    drawTable();
+  }
   drawStatusPanel();
+  drawActivityPanel();
+  if (provisioningOpen) {
+    drawProvisioning();
+  }
+  if (trainerOpen) {
+    drawTrainer();
+  }
   updateStats();
 }
 
-function parseMessage(msg) {
+function handleEvent(event) {
   messageCount++;
 
-  // Registration: S1-S6
-  let reg = msg.match(/^S([1-6])$/);
-  if (reg) {
-    let id = parseInt(reg[1]);
-    if (!streamData[id]) {
-      streamData[id] = new DataStream(id);
-      console.log(`Stream ${id} registered`);
+  // Device without an ID asking to be provisioned
+  if (event.type === "unassigned") {
+    if (!unassignedDevices[event.serial]) {
+      console.log(`New device ${event.serial} is waiting for an ID - press 'D' to assign one`);
+    }
+    unassignedDevices[event.serial] = { serial: event.serial, rssi: event.rssi, lastSeen: Date.now() };
+    return;
+  }
+
+  // Only stream events from here on (unknown/malformed lines are just counted)
+  if (!["registration", "sample", "sensors", "button"].includes(event.type)) return;
+
+  if (!streamData[event.id]) {
+    streamData[event.id] = new DataStream(event.id);
+    if (event.type === "registration") {
+      console.log(`Stream ${event.id} registered`);
+    }
+  }
+  let stream = streamData[event.id];
+
+  // Every forwarded line carries the receiver's RSSI reading
+  stream.trackSignal(event.rssi);
+
+  // Registration: S<id> s=<serial>
+  if (event.type === "registration" && event.serial !== null) {
+    stream.trackSerial(event.serial);
+    delete unassignedDevices[event.serial];
+  }
+
+  // Data: m<id> x= y= z=
+  if (event.type === "sample") {
+    stream.trackPacket(event.seq, event.time);
+    stream.update(event.x, event.y, event.z, event.time !== null ? event.time : Date.now());
+  }
+
+  // Sensors: e<id> h= a= b= l= c=
+  if (event.type === "sensors") {
+    stream.updateSensors(event);
+  }
+
+  // Button press: b<id> A|B|AB
+  if (event.type === "button") {
+    stream.addButtonEvent(event.button, event.time);
+  }
+}
+
+// Send a command to one sender (id) or all senders ("*") through the receiver
+function sendCommand(target, command, value) {
+  let line = formatCommand(target, command, value);
+  if (line === null) {
+    console.log(`Unknown command: ${target} ${command}`);
+    return false;
+  }
+  if (!input.write(line + "\n")) {
+    console.log(`Not connected - can't send "${line}"`);
+    return false;
+  }
+  return true;
+}
+
+// Push changed motion levels to the devices' LED matrices (throttled per device)
+function sendMotionLevels() {
+  let now = Date.now();
+  for (let id in streamData) {
+    let s = streamData[id];
+    if (!s.isActive() || s.calibrating) continue;
+    if (s.sentLevel === s.motion || now - s.sentLevelTime < LEVEL_SEND_INTERVAL) continue;
+
+    if (sendCommand(s.id, "level", s.motion)) {
+      s.sentLevel = s.motion;
+      s.sentLevelTime = now;
+    }
+  }
+}
+
+// Smallest stream ID nobody is using, or null when all are taken
+function nextFreeStreamId() {
+  for (let id = PROTOCOL_MIN_ID; id <= PROTOCOL_MAX_ID; id++) {
+    if (!streamData[id]) return id;
+  }
+  return null;
+}
+
+// Rows in the Device IDs overlay: unassigned devices first, then streams with a known serial
+function getProvisioningRows() {
+  let now = Date.now();
+  let rows = [];
+  for (let serial in unassignedDevices) {
+    let device = unassignedDevices[serial];
+    if (now - device.lastSeen > 5000) {
+      delete unassignedDevices[serial]; // Stopped asking (switched off or got an ID)
+      continue;
+    }
+    rows.push({ serial: device.serial, id: null, rssi: device.rssi });
+  }
+  for (let id in streamData) {
+    let stream = streamData[id];
+    if (stream.serial === null || !stream.isActive()) continue;
+    rows.push({ serial: stream.serial, id: stream.id, rssi: stream.link.getSignalStrength() });
+  }
+  return rows;
+}
+
+// Send a new stream ID to one device (by hardware serial)
+function assignDeviceId(serial, id) {
+  // 0 = unassign (protocol.js): the device forgets its ID and asks for a new one
+  if (id !== 0 && !isValidStreamId(id)) {
+    console.log(`Stream ID must be ${PROTOCOL_MIN_ID}-${PROTOCOL_MAX_ID} (0 = unassign)`);
+    return;
+  }
+  let owner = streamData[id];
+  if (id !== 0 && owner && owner.isActive() && owner.serial !== serial) {
+    console.log(`S${id} is already used by device ${owner.serial}`);
+    return;
+  }
+  if (!sendCommand("#" + serial, "assign", id)) return;
+
+  // Forget the device's old ID - unless another device still uses it
+  for (let oldId in streamData) {
+    let stream = streamData[oldId];
+    if (stream.serial !== serial || stream.id === id) continue;
+    if (stream.hasIdConflict()) {
+      delete stream.serialsSeen[serial];
+    } else {
+      delete streamData[oldId];
+    }
+  }
+  delete unassignedDevices[serial];
+  console.log(id === 0 ? `Device ${serial} unassigned` : `Device ${serial} -> S${id}`);
+}
+
+// Device IDs overlay: pick a device, type an ID (or take the next free one)
+function drawProvisioning() {
+  let rows = getProvisioningRows();
+  provisioningIndex = constrain(provisioningIndex, 0, max(0, rows.length - 1));
+
+  let w = min(560, width - 40);
+  let rowH = 26;
+  let h = 90 + max(1, rows.length) * rowH;
+  let x = (width - w) / 2;
+  let y = TABLE_START_Y + 30;
+
+  fill(25, 25, 35, 240);
+  stroke(150, 200, 255);
+  strokeWeight(2);
+  rect(x, y, w, h);
+
+  noStroke();
+  fill(150, 200, 255);
+  textAlign(CENTER, TOP);
+  textSize(18);
+  textStyle(BOLD);
+  text("Device IDs", x + w / 2, y + 10);
+  textStyle(NORMAL);
+  textSize(12);
+  fill(150);
+  text("↑↓ select | type ID + Enter (Enter alone = next free ID, 0 = unassign) | Esc close", x + w / 2, y + 36);
+
+  textAlign(LEFT, CENTER);
+  textSize(14);
+  if (rows.length === 0) {
+    fill(100);
+    text("No devices seen yet", x + 20, y + 70 + rowH / 2);
+  }
+
+  for (let r = 0; r < rows.length; r++) {
+    let row = rows[r];
+    let ry = y + 70 + r * rowH;
+    let selected = r === provisioningIndex;
+
+    if (selected) {
+      fill(60, 60, 90);
+      rect(x + 8, ry, w - 16, rowH - 2);
+    }
+
+    let conflict = row.id !== null && streamData[row.id].hasIdConflict();
+    let label = row.id === null ? "NEW" : `S${row.id}`;
+    fill(row.id === null ? [255, 200, 0] : conflict ? [255, 100, 100] : [200, 200, 200]);
+    text(label, x + 20, ry + rowH / 2);
+
+    fill(200);
+    let rssiText = row.rssi !== null && row.rssi !== undefined ? `${row.rssi.toFixed(0)} dBm` : "";
+    text(`#${row.serial}   ${rssiText}${conflict ? "   ID CONFLICT" : ""}`, x + 80, ry + rowH / 2);
+
+    if (selected) {
+      fill(150, 255, 150);
+      textAlign(RIGHT, CENTER);
+      let free = nextFreeStreamId();
+      let target = provisioningInput.length > 0 ? provisioningInput + "_" : free !== null ? `S${free}` : "no free ID - type one";
+      text(`→ ${target}`, x + w - 20, ry + rowH / 2);
+      textAlign(LEFT, CENTER);
+    }
+  }
+}
+
+// Keyboard handling while the Device IDs overlay is open
+function provisioningKeyPressed() {
+  if (keyCode === ESCAPE || key === "d" || key === "D") {
+    provisioningOpen = false;
+    provisioningInput = "";
+  } else if (keyCode === UP_ARROW) {
+    provisioningIndex = max(0, provisioningIndex - 1);
+    provisioningInput = "";
+  } else if (keyCode === DOWN_ARROW) {
+    provisioningIndex++;
+    provisioningInput = "";
+  } else if (keyCode === BACKSPACE) {
+    provisioningInput = provisioningInput.slice(0, -1);
+  } else if (keyCode === ENTER) {
+    let row = getProvisioningRows()[provisioningIndex];
+    if (row) {
+      let id = provisioningInput.length > 0 ? parseInt(provisioningInput) : nextFreeStreamId();
+      if (id === null) {
+        console.log(`⚠️ All stream IDs (${PROTOCOL_MIN_ID}-${PROTOCOL_MAX_ID}) are in use - type the ID of a device that is switched off`);
+      } else {
+        assignDeviceId(row.serial, id);
+      }
     }
+    provisioningInput = "";
+  } else if (key >= "0" && key <= "9" && provisioningInput.length < 3) {
+    provisioningInput += key;
+  }
+}
+
+// Active stream IDs, sorted
+function getActiveStreamIds() {
+  return Object.keys(streamData)
+    .map((id) => parseInt(id))
+    .sort((a, b) => a - b)
+    .filter((id) => streamData[id].isActive());
+}
+
+// Stream the trainer records from - the chosen one, or the first active stream
+function getTrainerStream() {
+  let ids = getActiveStreamIds();
+  if (trainerStreamId === null || !ids.includes(trainerStreamId)) {
+    trainerStreamId = ids.length > 0 ? ids[0] : null;
+  }
+  return trainerStreamId;
+}
+
+// Start recording an example of the selected gesture (or stop and keep it)
+function toggleTrainerRecording() {
+  if (trainerRecording !== null) {
+    finishTrainerRecording();
     return;
   }
+  let gesture = trainer.gestures[trainerIndex];
+  let id = getTrainerStream();
+  if (!gesture) {
+    trainerMessage = "Press N to name a new gesture first";
+  } else if (id === null) {
+    trainerMessage = "No active stream to record from";
+  } else {
+    trainerRecording = { id: id, name: gesture.name, samples: [] };
+    trainerMessage = "";
+  }
+}
+
+// One sample of the example being recorded - stops by itself at the maximum length
+function recordTrainerSample(x, y, z) {
+  trainerRecording.samples.push({ x: x, y: y, z: z });
+  if (trainerRecording.samples.length >= TRAINER_MAX_SAMPLES) {
+    finishTrainerRecording();
+  }
+}
+
+function finishTrainerRecording() {
+  let recording = trainerRecording;
+  trainerRecording = null;
+  let error = trainer.addExample(recording.name, recording.samples);
+  trainerMessage = error === null ? `Example of "${recording.name}" saved` : `Not saved: ${error}`;
+  console.log(`Gesture trainer: ${trainerMessage}`);
+}
 
-  // Data: m1-m6
-  let data = msg.match(/^m([1-6])/);
-  if (data) {
-    let id = parseInt(data[1]);
+// Keyboard handling while the gesture trainer is open
+function trainerKeyPressed() {
+  // Typing the name of a new gesture
+  if (trainerNaming !== null) {
+    if (keyCode === ESCAPE) {
+      trainerNaming = null;
+    } else if (keyCode === BACKSPACE) {
+      trainerNaming = trainerNaming.slice(0, -1);
+    } else if (keyCode === ENTER) {
+      let name = trainerNaming.trim();
+      trainerNaming = null;
+      if (name.length > 0) {
+        trainer.addGesture(name);
+        trainerIndex = trainer.gestures.findIndex((g) => g.name === name);
+        trainerMessage = `Press Enter to record an example of "${name}"`;
+      }
+    } else if (key.length === 1 && /[\w -]/.test(key) && trainerNaming.length < 20) {
+      trainerNaming += key;
+    }
+    return;
+  }
 
-    if (!streamData[id]) {
-      streamData[id] = new DataStream(id);
+  let gesture = trainer.gestures[trainerIndex];
+  if (keyCode === ESCAPE || key === "u" || key === "U") {
+    trainerOpen = false;
+    trainerRecording = null;
+  } else if (keyCode === UP_ARROW) {
+    trainerIndex = max(0, trainerIndex - 1);
+  } else if (keyCode === DOWN_ARROW) {
+    trainerIndex = min(max(0, trainer.gestures.length - 1), trainerIndex + 1);
+  } else if (keyCode === LEFT_ARROW || keyCode === RIGHT_ARROW) {
+    // Choose the stream to record from
+    let ids = getActiveStreamIds();
+    if (ids.length > 0 && trainerRecording === null) {
+      let index = ids.indexOf(getTrainerStream()) + (keyCode === RIGHT_ARROW ? 1 : -1);
+      trainerStreamId = ids[(index + ids.length) % ids.length];
     }
+  } else if (keyCode === ENTER) {
+    toggleTrainerRecording();
+  } else if (key === "n" || key === "N") {
+    trainerNaming = "";
+  } else if (keyCode === BACKSPACE && gesture) {
+    trainer.removeLastExample(gesture.name);
+    trainerMessage = `Removed the last example of "${gesture.name}"`;
+  } else if (keyCode === DELETE && gesture) {
+    trainer.removeGesture(gesture.name);
+    trainerIndex = max(0, trainerIndex - 1);
+    trainerMessage = `Deleted "${gesture.name}"`;
+  } else if (key === "x" || key === "X") {
+    downloadText("oskarbit-gestures.json", trainer.toJSON(), "application/json");
+    trainerMessage = `Exported ${trainer.gestures.length} gesture(s)`;
+  } else if (key === "i" || key === "I") {
+    openGestureFile((text, name) => {
+      try {
+        trainerMessage = `Imported ${trainer.importJSON(text)} gesture(s) from ${name}`;
+        trainerIndex = 0;
+      } catch (e) {
+        trainerMessage = `Not a gestures file: ${name}`;
+      }
+      console.log(`Gesture trainer: ${trainerMessage}`);
+    });
+  }
+}
+
+function drawTrainer() {
+  let gestures = trainer.gestures;
+  trainerIndex = constrain(trainerIndex, 0, max(0, gestures.length - 1));
 
-    let xm = msg.match(/x=([^,\s]+)/);
-    let ym = msg.match(/y=([^,\s]+)/);
-    let zm = msg.match(/z=([^,\s]+)/);
+  let w = min(620, width - 40);
+  let rowH = 26;
+  let h = 190 + max(1, gestures.length) * rowH;
+  let x = (width - w) / 2;
+  let y = TABLE_START_Y + 30;
+
+  fill(25, 25, 35, 240);
+  stroke(150, 200, 255);
+  strokeWeight(2);
+  rect(x, y, w, h);
+
+  noStroke();
+  fill(150, 200, 255);
+  textAlign(CENTER, TOP);
+  textSize(18);
+  textStyle(BOLD);
+  text("Gesture Trainer", x + w / 2, y + 10);
+  textStyle(NORMAL);
+  textSize(12);
+  fill(150);
+  text("N new gesture | Enter record / stop | ↑↓ gesture | ←→ stream | Backspace drop last example", x + w / 2, y + 36);
+  text("Del delete gesture | X export JSON | I import JSON | Esc close", x + w / 2, y + 52);
+
+  // Stream the examples come from
+  textAlign(LEFT, CENTER);
+  textSize(14);
+  let id = getTrainerStream();
+  if (id === null) {
+    fill(255, 100, 100);
+    text("Recording from: no active stream", x + 20, y + 82);
+  } else {
+    let c = streamData[id].color;
+    fill(200);
+    text("Recording from:", x + 20, y + 82);
+    fill(c[0], c[1], c[2]);
+    text(`S${id}`, x + 140, y + 82);
+  }
 
-    if (xm && ym && zm) {
-      streamData[id].update(
-        parseFloat(xm[1]),
-        parseFloat(ym[1]),
-        parseFloat(zm[1])
-      );
+  // Gestures and their example counts
+  if (gestures.length === 0) {
+    fill(100);
+    text("No gestures yet - press N and type a name", x + 20, y + 110 + rowH / 2);
+  }
+  for (let r = 0; r < gestures.length; r++) {
+    let ry = y + 110 + r * rowH;
+    if (r === trainerIndex) {
+      fill(60, 60, 90);
+      rect(x + 8, ry, w - 16, rowH - 2);
     }
+    let count = gestures[r].examples.length;
+    fill(200);
+    text(gestures[r].name, x + 20, ry + rowH / 2);
+    fill(count === 0 ? [255, 200, 0] : [150, 150, 150]);
+    text(count === 0 ? "no examples" : `${count} example${count === 1 ? "" : "s"}`, x + 260, ry + rowH / 2);
   }
+
+  // Name being typed, recording in progress or the outcome of the last action
+  let statusY = y + 110 + max(1, gestures.length) * rowH + 20;
+  if (trainerNaming !== null) {
+    fill(150, 255, 150);
+    text(`New gesture name: ${trainerNaming}_  (Enter = create, Esc = cancel)`, x + 20, statusY);
+  } else if (trainerRecording !== null) {
+    fill(255, 80, 80);
+    let progress = trainerRecording.samples.length / TRAINER_MAX_SAMPLES;
+    text(`● Recording "${trainerRecording.name}" from S${trainerRecording.id} - do the move, Enter to stop`, x + 20, statusY);
+    rect(x + 20, statusY + 14, (w - 40) * progress, 4);
+  } else if (trainerMessage) {
+    fill(255, 230, 100);
+    text(trainerMessage, x + 20, statusY);
+  }
+
+  // Latest matches
+  let matches = gestureLog.filter((entry) => entry.event.type === "trained").slice(-3).reverse();
+  fill(150);
+  textSize(12);
+  let now = Date.now();
+  let matchText = matches.map((entry) => `S${entry.id} ${describeGesture(entry.event)} ${floor((now - entry.arrival) / 1000)}s ago`).join("   ");
+  text(`Matches: ${matchText || "none yet"}`, x + 20, y + h - 20);
 }
 
 function drawHeader() {
@@ -319,25 +989,231 @@ function drawHeader() {
   textAlign(CENTER, TOP);
   textSize(16);
   textStyle(NORMAL);
-  if (port && port.opened()) {
-    fill(100, 255, 100);
-    text("● Connected", width / 2, 55);
+  let statusColor = input.getStatusColor();
+  fill(statusColor[0], statusColor[1], statusColor[2]);
+  text(input.getStatusText(), width / 2, 55);
+
+  // Recording indicator
+  if (recorder.recording) {
+    fill(255, 80, 80);
+    textAlign(RIGHT, TOP);
+    text(`● REC ${recorder.getDuration().toFixed(0)}s  ${recorder.entries.length} lines`, width - 20, 55);
+  }
+}
+
+// Recompute the pairwise synchrony of the active streams
+function updateSynchrony() {
+  if (synchrony !== null && millis() - lastSyncUpdate < SYNC_INTERVAL) return;
+  lastSyncUpdate = millis();
+  synchrony = computeSynchrony(getActiveStreamIds().map((id) => ({ id: id, buffer: streamData[id].sync })));
+}
+
+// Heat map color of one pair: green = in sync, blue = opposite, grey = no data / still
+function getSyncColor(cell) {
+  if (cell === null) return [50, 50, 50];
+  let r = constrain(cell.r, -1, 1);
+  if (r >= 0) return [40 + 40 * r, 40 + 180 * r, 40 + 80 * r];
+  return [40 - 10 * r, 40 - 80 * r, 40 - 215 * r];
+}
+
+// Pairwise correlation matrix and group score, in place of the table
+function drawSynchrony() {
+  let w = min(900, width - 40);
+  let x = (width - w) / 2;
+  let y = TABLE_START_Y;
+  let h = getTableLayout().height;
+
+  // Background
+  fill(30);
+  stroke(80);
+  strokeWeight(2);
+  rect(x, y, w, h);
+
+  // Header
+  fill(60);
+  noStroke();
+  rect(x, y, w, HEADER_HEIGHT);
+  fill(200);
+  textSize(18);
+  textAlign(CENTER, CENTER);
+  textStyle(BOLD);
+  text(`Group Synchrony - last ${SYNC_WINDOW / 1000} s`, x + w / 2, y + HEADER_HEIGHT / 2);
+  textStyle(NORMAL);
+
+  let ids = synchrony.ids;
+  if (ids.length < 2) {
+    fill(100);
+    textSize(16);
+    text("Needs at least two active streams...", x + w / 2, y + h / 2);
+    return;
+  }
+
+  // Matrix on the left: row / column labels, one cell per pair
+  let labelSize = 36;
+  let size = min(h - HEADER_HEIGHT - 30 - labelSize, w * 0.62 - labelSize);
+  let cell = size / ids.length;
+  let mx = x + 20 + labelSize;
+  let my = y + HEADER_HEIGHT + 15 + labelSize;
+
+  if (cell >= 14) {
+    textSize(constrain(cell * 0.35, 9, 14));
+    for (let i = 0; i < ids.length; i++) {
+      let c = streamData[ids[i]].color;
+      fill(c[0], c[1], c[2]);
+      textAlign(RIGHT, CENTER);
+      text(`S${ids[i]}`, mx - 6, my + (i + 0.5) * cell);
+      textAlign(CENTER, BOTTOM);
+      text(`S${ids[i]}`, mx + (i + 0.5) * cell, my - 6);
+    }
+  }
+
+  textAlign(CENTER, CENTER);
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = 0; j < ids.length; j++) {
+      let pair = synchrony.cells[i][j];
+      let c = getSyncColor(pair);
+      fill(c[0], c[1], c[2]);
+      stroke(20);
+      strokeWeight(1);
+      rect(mx + j * cell, my + i * cell, cell, cell);
+
+      if (cell >= 44 && pair !== null && i !== j) {
+        noStroke();
+        fill(230);
+        textSize(13);
+        text(pair.r.toFixed(2), mx + (j + 0.5) * cell, my + (i + 0.5) * cell - 7);
+        textSize(10);
+        text(`${pair.lag > 0 ? "+" : ""}${pair.lag}ms`, mx + (j + 0.5) * cell, my + (i + 0.5) * cell + 8);
+      }
+    }
+  }
+  noStroke();
+
+  // Score and summary on the right
+  let px = mx + size + 40;
+  let py = y + HEADER_HEIGHT + 20;
+  textAlign(LEFT, TOP);
+  fill(150, 200, 255);
+  textSize(14);
+  textStyle(BOLD);
+  text("Group score", px, py);
+  textStyle(NORMAL);
+
+  let score = synchrony.score;
+  if (score === null) {
+    fill(120);
+    textSize(16);
+    text("Waiting for movement...", px, py + 24);
   } else {
-    fill(255, 100, 100);
-    text("○ Press 'S' to connect", width / 2, 55);
+    let c = getSyncColor({ r: score });
+    fill(c[0], c[1], c[2]);
+    textSize(40);
+    textStyle(BOLD);
+    text(`${Math.round(score * 100)}%`, px, py + 22);
+    textStyle(NORMAL);
+  }
+
+  fill(200);
+  textSize(12);
+  let still = ids.filter((id, i) => synchrony.cells[i][i] === null);
+  let lines = [
+    `Pairs compared: ${synchrony.pairs}`,
+    `Typical lag: ${synchrony.meanLag === null ? "-" : `${synchrony.meanLag.toFixed(0)} ms`}`,
+    `Leader: ${synchrony.leader === null ? "none" : `S${synchrony.leader} (others follow)`}`,
+    `Still / no data: ${still.length > 0 ? still.map((id) => `S${id}`).join(", ") : "none"}`,
+  ];
+  lines.forEach((line, i) => text(line, px, py + 80 + i * 20));
+
+  // Legend: -1 .. +1
+  let ly = py + 170;
+  let lw = min(200, x + w - px - 20);
+  for (let i = 0; i < lw; i++) {
+    let c = getSyncColor({ r: map(i, 0, lw - 1, -1, 1) });
+    fill(c[0], c[1], c[2]);
+    rect(px + i, ly, 1, 12);
+  }
+  fill(150);
+  textSize(10);
+  text("-1 opposite", px, ly + 16);
+  textAlign(RIGHT, TOP);
+  text("+1 in sync", px + lw, ly + 16);
+  textAlign(LEFT, TOP);
+  text("Magnitude correlation at the best lag (±1 s).", px, ly + 36);
+  text("Lag > 0: the column's stream trails the row's.", px, ly + 50);
+  text("'Y' = back to the table", px, ly + 70);
+}
+
+// Remember a gesture event for the on-screen log
+function logGesture(id, event) {
+  gestureLog.push({ id: id, event: event, arrival: Date.now() });
+  if (gestureLog.length > 50) {
+    gestureLog.shift();
+  }
+  console.log(`Stream ${id}: ${describeGesture(event)}`);
+}
+
+// Recent gesture events in the top left corner, fading out with age
+function drawGestureLog() {
+  let now = Date.now();
+  let recent = gestureLog.filter((entry) => now - entry.arrival < GESTURE_LOG_FADE).slice(-GESTURE_LOG_SIZE);
+
+  textAlign(LEFT, TOP);
+  textSize(12);
+  textStyle(NORMAL);
+  noStroke();
+  let y = 15;
+  for (let i = recent.length - 1; i >= 0; i--) {
+    let entry = recent[i];
+    let age = now - entry.arrival;
+    let alpha = map(age, GESTURE_LOG_FADE / 2, GESTURE_LOG_FADE, 255, 0, true);
+    let color = streamData[entry.id] ? streamData[entry.id].color : [200, 200, 200];
+
+    fill(color[0], color[1], color[2], alpha);
+    circle(24, y + 6, 8);
+    fill(220, alpha);
+    text(`S${entry.id} ${describeGesture(entry.event)}  ${floor(age / 1000)}s ago`, 34, y);
+    y += 16;
   }
 }
 
+// Work out which stream IDs fit on the current table page
+function getTableLayout() {
+  let ids = Object.keys(streamData)
+    .map((id) => parseInt(id))
+    .sort((a, b) => a - b);
+
+  // As many rows as fit above the status panel (and the activity panel, when it goes below)
+  let available = height - TABLE_START_Y - HEADER_HEIGHT - STATUS_PANEL_HEIGHT - 40;
+  if (activityPanelBelow()) {
+    available -= STATUS_PANEL_HEIGHT + 20;
+  }
+  let rowsPerPage = max(3, floor(available / ROW_HEIGHT));
+
+  let pageCount = max(1, ceil(ids.length / rowsPerPage));
+  tablePage = constrain(tablePage, 0, pageCount - 1);
+
+  let pageIds = ids.slice(tablePage * rowsPerPage, (tablePage + 1) * rowsPerPage);
+  let rowCount = min(rowsPerPage, max(pageIds.length, MIN_TABLE_ROWS));
+
+  return {
+    ids: pageIds,
+    rowCount: rowCount,
+    pageCount: pageCount,
+    height: HEADER_HEIGHT + ROW_HEIGHT * rowCount,
+  };
+}
+
 function drawTable() {
   let w = min(900, width - 40);
   let x = (width - w) / 2;
   let y = TABLE_START_Y;
+  let layout = getTableLayout();
 
   // Background
   fill(30);
   stroke(80);
   strokeWeight(2);
-  rect(x, y, w, HEADER_HEIGHT + ROW_HEIGHT * MAX_STREAMS);
+  rect(x, y, w, layout.height);
 
   // Header
   fill(60);
@@ -349,14 +1225,16 @@ function drawTable() {
   textAlign(CENTER, CENTER);
   textStyle(BOLD);
 
-  let col = w / 7;
+  let col = w / 9;
   text("Stream", x + col * 0.5, y + HEADER_HEIGHT / 2);
   text("Status", x + col * 1.5, y + HEADER_HEIGHT / 2);
   text("Motion", x + col * 2.5, y + HEADER_HEIGHT / 2);
-  text("Distance", x + col * 3.5, y + HEADER_HEIGHT / 2);
-  text("X", x + col * 4.5, y + HEADER_HEIGHT / 2);
-  text("Y", x + col * 5.5, y + HEADER_HEIGHT / 2);
-  text("Z", x + col * 6.5, y + HEADER_HEIGHT / 2);
+  text(motionMetric === "linear" ? "Linear Acc" : "Distance", x + col * 3.5, y + HEADER_HEIGHT / 2);
+  text("Steps", x + col * 4.5, y + HEADER_HEIGHT / 2);
+  text("X", x + col * 5.5, y + HEADER_HEIGHT / 2);
+  text("Y", x + col * 6.5, y + HEADER_HEIGHT / 2);
+  text("Z", x + col * 7.5, y + HEADER_HEIGHT / 2);
+  text("Sensors", x + col * 8.5, y + HEADER_HEIGHT / 2);
 
   stroke(80);
   strokeWeight(2);
@@ -366,15 +1244,30 @@ function drawTable() {
   textStyle(NORMAL);
   textSize(16);
 
-  for (let i = 1; i <= MAX_STREAMS; i++) {
-    let ry = y + HEADER_HEIGHT + (i - 1) * ROW_HEIGHT;
+  for (let r = 0; r < layout.rowCount; r++) {
+    let ry = y + HEADER_HEIGHT + r * ROW_HEIGHT;
 
-    if (i % 2 === 0) {
+    if (r % 2 === 1) {
       fill(35);
       noStroke();
       rect(x, ry, w, ROW_HEIGHT);
     }
 
+    // Empty padding row
+    let i = layout.ids[r];
+    if (i === undefined) {
+      if (r === 0) {
+        fill(100);
+        noStroke();
+        textAlign(CENTER, CENTER);
+        text("Waiting for streams...", x + w / 2, ry + ROW_HEIGHT / 2);
+      }
+      stroke(80);
+      strokeWeight(1);
+      line(x, ry + ROW_HEIGHT, x + w, ry + ROW_HEIGHT);
+      continue;
+    }
+
     let s = streamData[i];
     let active = s && s.isActive();
 
@@ -390,13 +1283,39 @@ function drawTable() {
     textAlign(CENTER, CENTER);
     text(`S${i}`, x + col * 0.5, ry + ROW_HEIGHT / 2);
 
-    // Status
+    // Signal bars (plus a warning when the device is close to dropping out)
     if (active) {
+      drawSignalBars(s.link.getSignalBars(), x + col * 0.75, ry + ROW_HEIGHT / 2 + 7);
+      if (s.weakSignal) {
+        fill(255, 100, 100);
+        textSize(10);
+        text("WEAK", x + col * 0.5, ry + ROW_HEIGHT / 2 + 18);
+        textSize(16);
+      }
+    }
+
+    // Status
+    if (active && s.hasIdConflict()) {
+      // Two devices share this ID - their data is mixed together
+      fill(255, 100, 100);
+      text("●", x + col * 1.3, ry + ROW_HEIGHT / 2);
+      textSize(12);
+      text("ID CONFLICT", x + col * 1.75, ry + ROW_HEIGHT / 2);
+      textSize(16);
+    } else if (active) {
       fill(s.calibrating ? [255, 200, 0] : [100, 255, 100]);
       text("●", x + col * 1.3, ry + ROW_HEIGHT / 2);
       fill(200);
       textSize(14);
       text(s.getStatus(), x + col * 1.7, ry + ROW_HEIGHT / 2);
+
+      // Last background baseline adjustment (auto-calibration)
+      let drift = s.drift.describe();
+      if (autoCalibrate && drift !== null) {
+        fill(150, 200, 255);
+        textSize(10);
+        text(drift, x + col * 1.5, ry + ROW_HEIGHT / 2 + 18);
+      }
       textSize(16);
     } else {
       fill(100);
@@ -435,31 +1354,109 @@ function drawTable() {
       textSize(16);
     }
 
+    // Steps / reps and cadence
+    if (active && !s.calibrating) {
+      let cadence = s.getCadence();
+      fill(255);
+      textSize(20);
+      textStyle(BOLD);
+      text(s.steps.count, x + col * 4.5, ry + ROW_HEIGHT / 2 - 6);
+      textSize(11);
+      textStyle(NORMAL);
+      fill(cadence > 0 ? 200 : 100);
+      text(`${cadence.toFixed(0)}/min`, x + col * 4.5, ry + ROW_HEIGHT / 2 + 14);
+      textSize(16);
+    } else {
+      fill(80);
+      text("---", x + col * 4.5, ry + ROW_HEIGHT / 2);
+    }
+
     // Values
     if (active) {
       fill(255);
-      text(s.x.toFixed(0), x + col * 4.5, ry + ROW_HEIGHT / 2);
-      text(s.y.toFixed(0), x + col * 5.5, ry + ROW_HEIGHT / 2);
-      text(s.z.toFixed(0), x + col * 6.5, ry + ROW_HEIGHT / 2);
+      text(s.x.toFixed(0), x + col * 5.5, ry + ROW_HEIGHT / 2);
+      text(s.y.toFixed(0), x + col * 6.5, ry + ROW_HEIGHT / 2);
+      text(s.z.toFixed(0), x + col * 7.5, ry + ROW_HEIGHT / 2);
     } else {
       fill(80);
-      text("---", x + col * 4.5, ry + ROW_HEIGHT / 2);
       text("---", x + col * 5.5, ry + ROW_HEIGHT / 2);
       text("---", x + col * 6.5, ry + ROW_HEIGHT / 2);
+      text("---", x + col * 7.5, ry + ROW_HEIGHT / 2);
+    }
+
+    // Sensors (heading, temperature, light, buttons)
+    if (active) {
+      drawSensorCell(s, x + col * 8.5, ry + ROW_HEIGHT / 2);
+    } else {
+      fill(80);
+      text("---", x + col * 8.5, ry + ROW_HEIGHT / 2);
     }
 
     stroke(80);
     strokeWeight(1);
     line(x, ry + ROW_HEIGHT, x + w, ry + ROW_HEIGHT);
   }
+
+  // Page indicator
+  if (layout.pageCount > 1) {
+    fill(150);
+    noStroke();
+    textSize(12);
+    textAlign(RIGHT, TOP);
+    text(
+      `Page ${tablePage + 1}/${layout.pageCount}  ('[' / ']' or scroll)`,
+      x + w,
+      y + layout.height + 4
+    );
+  }
+}
+
+// Four signal bars, bottom-left corner at (bx, by) - null bars = no RSSI reported
+function drawSignalBars(bars, bx, by) {
+  if (bars === null) return;
+
+  let barColor = bars >= 3 ? [100, 255, 100] : bars === 2 ? [255, 200, 0] : [255, 100, 100];
+  noStroke();
+  for (let b = 0; b < 4; b++) {
+    let h = 4 + b * 3;
+    if (b < bars) {
+      fill(barColor[0], barColor[1], barColor[2]);
+    } else {
+      fill(70);
+    }
+    rect(bx + b * 4, by - h, 3, h);
+  }
+}
+
+// Two-line sensor summary for one table row, centered on (cx, cy)
+function drawSensorCell(s, cx, cy) {
+  textSize(12);
+  fill(200);
+  let heading = s.heading !== null ? `${s.heading}°` : "--°";
+  let temp = s.temperature !== null ? `${s.temperature}°C` : "--°C";
+  text(`${heading}  ${temp}`, cx, cy - 9);
+
+  let light = s.light !== null ? `L${s.light}` : "L--";
+  text(light, cx - 22, cy + 9);
+
+  // Buttons light up while held, and flash for a second after a press event
+  for (let [label, held, offset] of [["A", s.buttonA, 12], ["B", s.buttonB, 30]]) {
+    if (held || s.recentlyPressed(label, 1000)) {
+      fill(255, 200, 0);
+    } else {
+      fill(90);
+    }
+    text(label, cx + offset, cy + 9);
+  }
+  textSize(16);
 }
 
 function drawStatusPanel() {
   let w = min(900, width - 40);
   let x = (width - w) / 2;
-  let tableEndY = TABLE_START_Y + HEADER_HEIGHT + ROW_HEIGHT * MAX_STREAMS;
+  let tableEndY = TABLE_START_Y + getTableLayout().height;
   let panelY = tableEndY + 20;
-  let panelHeight = 160;
+  let panelHeight = STATUS_PANEL_HEIGHT;
 
   // Background panel
   fill(30);
@@ -500,10 +1497,11 @@ function drawStatusPanel() {
   let calibratedCount = Object.values(streamData).filter((s) => s.isActive() && !s.calibrating && s.calibrationQuality.includes("GOOD")).length;
   
   fill(200);
-  text(`Active Streams: ${activeCount}/${MAX_STREAMS}`, contentX + col1, contentY + lineHeight);
+  text(`Active Streams: ${activeCount}/${Object.keys(streamData).length}`, contentX + col1, contentY + lineHeight);
   text(`Well Calibrated: ${calibratedCount}/${activeCount}`, contentX + col1, contentY + lineHeight * 2);
-  text(`Data Rate: ${messagesPerSecond} msg/sec`, contentX + col1, contentY + lineHeight * 3);
-  text(`Frame Rate: ${int(frameRate())} fps`, contentX + col1, contentY + lineHeight * 4);
+  text(`Data Rate: ${messagesPerSecond} msg/sec | ${int(frameRate())} fps`, contentX + col1, contentY + lineHeight * 3);
+  text(`Auto-calibration: ${autoCalibrate ? "on" : "off"} (A)`, contentX + col1, contentY + lineHeight * 4);
+  text(`Motion: ${motionMetric === "linear" ? "linear (tilt-free)" : "from baseline"} (T)`, contentX + col1, contentY + lineHeight * 5);
 
   // Column 2: Stream Details
   fill(150, 200, 255);
@@ -534,27 +1532,152 @@ function drawStatusPanel() {
     detailY += lineHeight * 0.8;
   }
 
-  // Column 3: Motion Thresholds & Controls
+  // Column 3: Link Quality
   fill(150, 200, 255);
   textSize(14);
   textStyle(BOLD);
-  text("Motion Analysis", contentX + col3, contentY);
+  text("Link Quality", contentX + col3, contentY);
   
   textStyle(NORMAL);
   textSize(12);
-  fill(200);
-  text("Adaptive thresholds per stream", contentX + col3, contentY + lineHeight);
-  text("Based on calibration noise", contentX + col3, contentY + lineHeight * 2);
-  text("Uses Euclidean distance", contentX + col3, contentY + lineHeight * 3);
+  let linkY = contentY + lineHeight;
+
+  for (let streamId in streamData) {
+    let stream = streamData[streamId];
+    if (!stream.isActive() || linkY > contentY + lineHeight * 4.5) continue;
+
+    let link = stream.link;
+    let rateText = `${link.getSampleRate().toFixed(1)} Hz`;
+    let jitterText = `jitter ${link.jitter.toFixed(0)}ms`;
+    let lossText = link.hasSequence() ? `loss ${(link.getLossRate() * 100).toFixed(1)}%` : "loss n/a";
+    let rssi = link.getSignalStrength();
+    let rssiText = rssi !== null ? ` | ${rssi.toFixed(0)}dBm` : "";
+    let spikeText = stream.outliers.rejected > 0 ? ` | spikes ${stream.outliers.rejected}` : "";
+
+    // Highlight streams that are dropping packets, losing signal or sending spikes
+    let lossRate = link.getLossRate();
+    if (lossRate > 0.1 || stream.weakSignal || stream.noisy) {
+      fill(255, 100, 100);
+    } else if (lossRate > 0.02) {
+      fill(255, 200, 0);
+    } else {
+      fill(200);
+    }
+    text(`S${streamId}: ${rateText} | ${lossText} | ${jitterText}${rssiText}${spikeText}`, contentX + col3, linkY);
+    linkY += lineHeight * 0.8;
+  }
   
   // Controls hint at bottom
   fill(120);
   textAlign(CENTER, CENTER);
   textSize(12);
-  text("'S' = Connect | 'C' = Recalibrate All | Double-click = Fullscreen", 
+  text("'S' = Connect | 'C' = Calibrate | 'I' = Identify | 'P' = Pause | ',' '.' = Rate | 'L' = Levels | 'D' = IDs | 'R' = Reset Steps | 'U' = Gestures | 'Y' = Sync | '[' ']' = Page", 
        x + w/2, panelY + panelHeight - 15);
 }
 
+// The activity panel sits right of the status panel, unless the window is too narrow
+function activityPanelBelow() {
+  let statusRight = (width + min(900, width - 40)) / 2;
+  return width - statusRight - 20 < ACTIVITY_PANEL_WIDTH + 20;
+}
+
+// Activity metrics of the latest finished epoch, one row per active stream
+function drawActivityPanel() {
+  let statusW = min(900, width - 40);
+  let tableEndY = TABLE_START_Y + getTableLayout().height;
+  let x, panelY, w;
+  if (activityPanelBelow()) {
+    w = statusW;
+    x = (width - w) / 2;
+    panelY = tableEndY + 20 + STATUS_PANEL_HEIGHT + 20;
+  } else {
+    w = ACTIVITY_PANEL_WIDTH;
+    x = (width + statusW) / 2 + 20;
+    panelY = tableEndY + 20;
+  }
+  let panelHeight = STATUS_PANEL_HEIGHT;
+
+  // Background panel
+  fill(30);
+  stroke(80);
+  strokeWeight(2);
+  rect(x, panelY, w, panelHeight);
+
+  // Panel header
+  fill(60);
+  noStroke();
+  rect(x, panelY, w, 30);
+
+  fill(200);
+  textAlign(CENTER, CENTER);
+  textSize(16);
+  textStyle(BOLD);
+  text(`Activity (${activityEpoch} s epochs)`, x + w / 2, panelY + 15);
+
+  // Column headers
+  textAlign(LEFT, TOP);
+  let contentX = x + 20;
+  let contentY = panelY + 40;
+  let innerW = w - 40;
+  let cols = [0, 0.14, 0.32, 0.5, 0.68, 0.82].map((f) => contentX + innerW * f);
+  let lineHeight = 20;
+
+  fill(150, 200, 255);
+  textSize(12);
+  ["Stream", "ENMO", "Jerk", "Energy", "Counts", "Trend"].forEach((label, i) => text(label, cols[i], contentY));
+  textStyle(NORMAL);
+
+  let ids = getActiveStreamIds();
+  let rowY = contentY + lineHeight;
+  let shown = 0;
+
+  for (let id of ids) {
+    if (rowY > contentY + lineHeight * 4.5) break;
+    let stream = streamData[id];
+    let latest = stream.activity.getLatest(activityEpoch);
+
+    // Stream color indicator
+    fill(stream.color[0], stream.color[1], stream.color[2]);
+    circle(cols[0] - 5, rowY + 6, 8);
+
+    fill(200);
+    text(`S${id}`, cols[0] + 5, rowY);
+    if (latest === null) {
+      fill(120);
+      text(`waiting for the first ${activityEpoch} s epoch...`, cols[1], rowY);
+    } else {
+      text(`${latest.enmo.toFixed(0)} mg`, cols[1], rowY);
+      text(`${(latest.jerk / 1000).toFixed(1)} g/s`, cols[2], rowY);
+      text(`${(latest.energy / 1e6).toFixed(3)} g²`, cols[3], rowY);
+      text(`${latest.counts.toFixed(0)}`, cols[4], rowY);
+      drawActivityTrend(stream.activity.getHistory(activityEpoch), cols[5], rowY + 12, contentX + innerW - cols[5], 11, stream.color);
+    }
+    rowY += lineHeight * 0.8;
+    shown++;
+  }
+
+  // Controls hint at bottom
+  fill(120);
+  textAlign(CENTER, CENTER);
+  let more = ids.length > shown ? `+${ids.length - shown} more | ` : "";
+  text(`${more}ENMO = |a| - 1g | 'E' = Epoch (${ACTIVITY_EPOCHS.join(" / ")} s)`, x + w / 2, panelY + panelHeight - 15);
+}
+
+// Sparkline of the ENMO history (bottom-left at x, y)
+function drawActivityTrend(history, x, y, w, h, rgb) {
+  if (history.length < 2) return;
+  let values = history.slice(-30).map((epoch) => epoch.enmo);
+  let top = max(50, max(values)); // mg - quiet streams stay flat
+
+  noFill();
+  stroke(rgb[0], rgb[1], rgb[2]);
+  strokeWeight(1);
+  beginShape();
+  values.forEach((value, i) => vertex(x + (i / (values.length - 1)) * w, y - (value / top) * h));
+  endShape();
+  noStroke();
+}
+
 function updateStats() {
   let t = millis();
   if (t - lastLogTime >= 1000) {
@@ -565,14 +1688,37 @@ function updateStats() {
 }
 
 function keyPressed() {
+  // Device IDs overlay takes all keys while open
+  if (provisioningOpen) {
+    provisioningKeyPressed();
+    return;
+  }
+  if (key === "d" || key === "D") {
+    provisioningOpen = true;
+    provisioningIndex = 0;
+    return;
+  }
+
+  // Gesture trainer overlay takes all keys while open
+  if (trainerOpen) {
+    trainerKeyPressed();
+    return;
+  }
+  if (key === "u" || key === "U") {
+    trainerOpen = true;
+    trainerMessage = "";
+    return;
+  }
+
   if (key === "s" || key === "S") {
-    if (!port.opened()) {
-      port.open(BAUDRATE);
-    }
+    input.useSerial();
   }
 
   // Recalibrate all active streams
   if (key === "c" || key === "C") {
+    // Synchronized "hold still" cue on every device while we collect samples
+    sendCommand("*", "cal");
+
     let count = 0;
     for (let id in streamData) {
       if (streamData[id].isActive()) {
@@ -586,6 +1732,147 @@ function keyPressed() {
       console.log("No active streams to calibrate");
     }
   }
+
+  // Flash LEDs on every device to find them
+  if (key === "i" || key === "I") {
+    sendCommand("*", "identify");
+  }
+
+  // Pause / resume streaming on all devices
+  if (key === "p" || key === "P") {
+    devicesPaused = !devicesPaused;
+    sendCommand("*", devicesPaused ? "stop" : "start");
+    console.log(devicesPaused ? "Devices paused" : "Devices streaming");
+  }
+
+  // Sample interval on all devices: ',' = slower, '.' = faster
+  if (key === "," || key === ".") {
+    deviceSampleInterval = key === "," ? min(1000, deviceSampleInterval * 2) : max(10, deviceSampleInterval / 2);
+    deviceSampleInterval = round(deviceSampleInterval);
+    sendCommand("*", "rate", deviceSampleInterval);
+    console.log(`Device sample interval: ${deviceSampleInterval} ms (~${(1000 / deviceSampleInterval).toFixed(0)} Hz)`);
+  }
+
+  // Mirror motion levels on the devices' LED matrices
+  if (key === "l" || key === "L") {
+    showLevelsOnDevices = !showLevelsOnDevices;
+    if (!showLevelsOnDevices) {
+      sendCommand("*", "level", "off");
+    }
+    for (let id in streamData) {
+      streamData[id].sentLevel = null;
+    }
+    console.log(`Motion levels on devices: ${showLevelsOnDevices ? "ON" : "OFF"}`);
+  }
+
+  // Device simulator: M = start/stop, K = next scenario
+  if (key === "m" || key === "M") {
+    input.toggleSimulator();
+  }
+  if ((key === "k" || key === "K") && input.getSimulator()) {
+    input.getSimulator().cycleScenario();
+  }
+
+  // WebSocket bridge (URL from ?ws=..., default ws://localhost:8765)
+  if (key === "w" || key === "W") {
+    input.useWebSocket(new URLSearchParams(window.location.search).get("ws"));
+  }
+
+  // Bluetooth senders (microbit-sender-ble.js) - each press connects one more
+  if (key === "b" || key === "B") {
+    input.useBluetooth();
+  }
+
+  // Session recording: V = start/stop (downloads the file), G = JSONL/CSV
+  if (key === "v" || key === "V") {
+    if (recorder.recording) {
+      recorder.stop();
+    } else {
+      recorder.start();
+    }
+  }
+  if (key === "g" || key === "G") {
+    console.log(`Recording format: ${recorder.toggleFormat().toUpperCase()}`);
+  }
+
+  // Session replay: O = open file, Space = pause, N = step, F = speed, Q = back to live
+  if (key === "o" || key === "O") {
+    openSessionFile(startReplay);
+  }
+  let replay = input.getReplay();
+  if (replay) {
+    if (key === " ") {
+      replay.togglePause();
+    }
+    if (key === "n" || key === "N") {
+      let line = replay.step();
+      if (line !== null) handleEvent(parseLine(line));
+    }
+    if (key === "f" || key === "F") {
+      console.log(`Replay speed: ${replay.cycleSpeed()}x`);
+    }
+    if (key === "q" || key === "Q") {
+      input.useLive();
+      streamData = {};
+      console.log("Replay stopped - back to live data");
+    }
+  }
+
+  // Reset step / rep counts
+  if (key === "r" || key === "R") {
+    for (let id in streamData) {
+      streamData[id].steps.resetCount();
+    }
+    console.log("Step / rep counts reset");
+  }
+
+  // Background auto-calibration on/off
+  if (key === "a" || key === "A") {
+    autoCalibrate = !autoCalibrate;
+    for (let id in streamData) {
+      streamData[id].drift.window = []; // Start with a fresh stillness window
+    }
+    console.log(`Auto-calibration: ${autoCalibrate ? "ON - baselines follow still devices" : "OFF"}`);
+  }
+
+  // Group synchrony heat map in place of the table
+  if (key === "y" || key === "Y") {
+    syncView = !syncView;
+    synchrony = null;
+    console.log(`View: ${syncView ? "group synchrony" : "stream table"}`);
+  }
+
+  // Activity panel epoch length: 1 s / 10 s / 60 s
+  if (key === "e" || key === "E") {
+    activityEpoch = ACTIVITY_EPOCHS[(ACTIVITY_EPOCHS.indexOf(activityEpoch) + 1) % ACTIVITY_EPOCHS.length];
+    console.log(`Activity metrics: ${activityEpoch} s epochs`);
+  }
+
+  // Motion metric: linear acceleration (gravity removed) / distance from calibration baseline
+  if (key === "t" || key === "T") {
+    motionMetric = motionMetric === "linear" ? "baseline" : "linear";
+    console.log(`Motion metric: ${motionMetric === "linear" ? "linear acceleration (tilt-independent)" : "distance from calibration baseline"}`);
+  }
+
+  // Table pages
+  if (key === "]" || keyCode === 34) {
+    tablePage++;
+  }
+  if (key === "[" || keyCode === 33) {
+    tablePage = max(0, tablePage - 1);
+  }
+}
+
+// Start playing a recorded session (clears the current streams)
+function startReplay(entries, name) {
+  streamData = {};
+  tablePage = 0;
+  input.useReplay(entries, name);
+}
+
+function mouseWheel(event) {
+  tablePage = max(0, tablePage + (event.delta > 0 ? 1 : -1));
+  return false;
 }
 
 function windowResized() {
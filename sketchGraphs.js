@@ -1,13 +1,17 @@
-// Serial port variable
-let port;
+// Data input - serial port, simulator, replay or WebSocket (see inputSources.js)
 const BAUDRATE = 115200;
-
-// Maximum number of streams
-const MAX_STREAMS = 6;
+let input = new InputManager(BAUDRATE);
 
 // Data storage for multiple streams
-let streams = {}; // Key: stream ID (1-6), Value: stream object
-let maxDataPoints = 200;
+let streams = {}; // Key: stream ID (1-255), Value: stream object
+
+// Common time axis - every stream is resampled onto the same clock (see
+// sampleStore.js), so the graphs show real time, not message order
+let maxDataPoints = 200; // Grid points across the graph
+const GRAPH_STEP = 50; // ms between grid points (10 s across the graph)
+const GRAPH_DELAY = 100; // ms behind now, so the latest samples have arrived
+let graphStart = 0; // Dashboard time (ms) at the left / right edge of the graphs
+let graphEnd = 0;
 
 // Performance monitoring
 let messageCount = 0;
@@ -20,13 +24,57 @@ let consecutiveBacklogFrames = 0;
 const MAX_MESSAGES_PER_FRAME = 20; // Process max 20 messages per frame (increased to handle catch-up better)
 const AUTO_CLEAR_THRESHOLD = 60; // Auto-clear buffer if backlogged for 60 frames (~1 second)
 
+// Stream picker - number keys build up a stream ID ("1" then "2" = stream 12)
+let pickerInput = "";
+let pickerLastKeyTime = 0;
+const PICKER_TIMEOUT = 800; // ms after the last digit before the toggle is applied
+
+// Session recording
+let recorder = new SessionRecorder();
+
+// Filter chain for new streams (see filters.js) - E opens the filter editor,
+// H switches between filtered, raw + filtered overlay and side by side
+const DEFAULT_FILTERS = [{ type: "ema", params: { alpha: 0.2 } }];
+let filterConfig = loadFilterConfig(DEFAULT_FILTERS);
+const RAW_VIEWS = ["filtered", "overlay", "split"];
+let rawView = "filtered";
+
+// Spectrum views ('P' cycles: time series -> spectrum -> spectrogram, see spectrum.js)
+const GRAPH_VIEWS = ["time", "spectrum", "spectrogram"];
+let graphView = "time";
+const SPECTRUM_INTERVAL = 250; // ms between spectrum updates
+const SPECTROGRAM_COLUMNS = 120; // Spectrogram history (30 s at one column per 250 ms)
+const SPECTROGRAM_FULL_SCALE = 400; // mg - amplitude shown at full brightness
+let lastSpectrumTime = 0;
+
+// Background auto-calibration ('A' toggles, see driftTracker.js)
+let autoCalibrate = false;
+
+// Gesture events (see gestureDetector.js) - logged top right, marked on the traces
+let gestureLog = []; // { id, event, arrival }, newest last
+const GESTURE_LOG_SIZE = 6;
+const GESTURE_LOG_FADE = 10000; // ms before an event fades out of the log
+
+// Filter editor state - target "all" edits the chain of every stream
+let filterEditor = { open: false, target: "all", row: 0, all: null };
+
 // Stream class to manage individual stream data
 class DataStream {
   constructor(id) {
     this.id = id;
+
+    // Timestamped samples [x, y, z, rawX, rawY, rawZ] (filtered and unfiltered)
+    this.store = new SampleStore();
+
+    // The store resampled onto the graph's time grid each frame (null = no
+    // data), and where the stream went silent
     this.xData = [];
     this.yData = [];
     this.zData = [];
+    this.rawXData = [];
+    this.rawYData = [];
+    this.rawZData = [];
+    this.gaps = []; // [{ start, end }] dashboard times
 
     // Visibility toggles
     this.showX = true;
@@ -44,11 +92,11 @@ class DataStream {
     this.maxDeviationY = 1000;
     this.maxDeviationZ = 1000;
 
-    // Smoothing variables
+    // Filtered values (output of the filter chain)
     this.smoothedX = 0;
     this.smoothedY = 0;
     this.smoothedZ = 0;
-    this.smoothingFactor = 0.2;
+    this.filters = new FilterPipeline(filterConfig);
 
     // Calibration noise measurement
     this.isCalibrating = false;
@@ -60,62 +108,52 @@ class DataStream {
     this.noiseThresholdY = 0;
     this.noiseThresholdZ = 0;
 
+    // Stillness windows for background auto-calibration
+    this.drift = new DriftTracker();
+
     // Color gradient for this stream
-    this.colors = this.getColorGradient(id);
+    this.colors = getStreamGradient(id);
+
+    // Link quality (rolling RSSI, measured sample rate)
+    this.link = new LinkStats();
+
+    // Gesture events, and where they happened on the traces
+    this.gestures = new GestureDetector();
+    this.gestureMarks = []; // { time, event } - store time (store.toClock() gives the dashboard time)
+    this.lastSampleTime = null; // Store time of the latest sample
+
+    // Latest spectrum of the raw samples, and its history for the spectrogram
+    this.spectrum = null;
+    this.spectrogram = [];
+    this.spectrogramImage = null;
 
     // Last update timestamp
     this.lastUpdate = Date.now();
   }
 
-  // Get color gradient based on stream ID
-  getColorGradient(id) {
-    const gradients = [
-      // Stream 1: Shades of blue (light to dark)
-      { x: [135, 206, 250], y: [70, 130, 180], z: [25, 25, 112] },
-      // Stream 2: Shades of green (light to dark)
-      { x: [144, 238, 144], y: [60, 179, 113], z: [0, 100, 0] },
-      // Stream 3: Shades of orange (light to dark)
-      { x: [255, 180, 100], y: [255, 140, 60], z: [255, 100, 20] },
-      // Stream 4: Shades of purple (light to dark)
-      { x: [216, 191, 216], y: [147, 112, 219], z: [75, 0, 130] },
-      // Stream 5: Shades of pink (light to dark)
-      { x: [255, 182, 193], y: [255, 105, 180], z: [199, 21, 133] },
-      // Stream 6: Shades of yellow/amber (light to dark)
-      { x: [255, 255, 153], y: [255, 215, 0], z: [218, 165, 32] },
-    ];
-    return gradients[(id - 1) % gradients.length];
-  }
-
-  // Add data point
-  addDataPoint(x, y, z) {
+  // Add a filtered data point with its unfiltered sample, time = sender time (or arrival time)
+  addDataPoint(x, y, z, raw, time) {
+    let base = this.getGraphBaseline();
+
     // Apply deadzone if calibrated
     if (this.isCalibrated) {
-      let deviationX = x - this.baselineX;
-      let deviationY = y - this.baselineY;
-      let deviationZ = z - this.baselineZ;
+      let deviationX = x - base.x;
+      let deviationY = y - base.y;
+      let deviationZ = z - base.z;
 
-      if (Math.abs(deviationX) < this.noiseThresholdX) x = this.baselineX;
-      if (Math.abs(deviationY) < this.noiseThresholdY) y = this.baselineY;
-      if (Math.abs(deviationZ) < this.noiseThresholdZ) z = this.baselineZ;
+      if (Math.abs(deviationX) < this.noiseThresholdX) x = base.x;
+      if (Math.abs(deviationY) < this.noiseThresholdY) y = base.y;
+      if (Math.abs(deviationZ) < this.noiseThresholdZ) z = base.z;
     }
 
-    // Add new data points
-    this.xData.push(x);
-    this.yData.push(y);
-    this.zData.push(z);
-
-    // Keep arrays at max length
-    if (this.xData.length > maxDataPoints) {
-      this.xData.shift();
-      this.yData.shift();
-      this.zData.shift();
-    }
+    // Store by time (the graph is resampled from here)
+    this.lastSampleTime = this.store.add([x, y, z, raw.x, raw.y, raw.z], time, Date.now());
 
     // Update max deviations from baseline for auto-scaling
     if (this.isCalibrated) {
-      let deviationX = Math.abs(x - this.baselineX);
-      let deviationY = Math.abs(y - this.baselineY);
-      let deviationZ = Math.abs(z - this.baselineZ);
+      let deviationX = Math.abs(x - base.x);
+      let deviationY = Math.abs(y - base.y);
+      let deviationZ = Math.abs(z - base.z);
 
       this.maxDeviationX = Math.max(this.maxDeviationX, deviationX);
       this.maxDeviationY = Math.max(this.maxDeviationY, deviationY);
@@ -125,6 +163,45 @@ class DataStream {
     this.lastUpdate = Date.now();
   }
 
+  // Resample the stored samples onto the graph's time grid
+  updateView(start, end) {
+    let view = this.store.resample(start, end, GRAPH_STEP);
+    let empty = view.times.map(() => null);
+    [this.xData, this.yData, this.zData, this.rawXData, this.rawYData, this.rawZData] =
+      view.values.length > 0 ? view.values : [empty, empty, empty, empty, empty, empty];
+    this.gaps = view.gaps;
+    this.gestureMarks = this.gestureMarks.filter((mark) => this.store.toClock(mark.time) >= start);
+  }
+
+  // The last SPECTRUM_SIZE raw samples, evenly spaced in time at the
+  // stream's own rate: { axes, rate }, or null with too little data or a gap
+  getSpectrumInput(end) {
+    let rate = this.store.getRate();
+    if (!(rate > 0)) return null;
+    let step = 1000 / rate;
+    let view = this.store.resample(end - (SPECTRUM_SIZE - 1) * step, end, step);
+    let axes = view.values.slice(3);
+    if (axes.length === 0 || axes[0].includes(null)) return null;
+    return { axes: axes, rate: rate };
+  }
+
+  // Level the filtered graph is drawn around - a high-pass stage centres
+  // the output on 0 instead of the resting gravity reading
+  getGraphBaseline() {
+    if (this.filters.removesOffset()) return { x: 0, y: 0, z: 0 };
+    return { x: this.baselineX, y: this.baselineY, z: this.baselineZ };
+  }
+
+  // EMA smoothing of the filter chain (null if it has no EMA stage)
+  getSmoothing() {
+    let ema = this.filters.stages.find((stage) => stage.type === "ema");
+    return ema ? ema.params.alpha : null;
+  }
+
+  setSmoothing(factor) {
+    this.filters.setTypeParam("ema", "alpha", Number(factor.toFixed(3)));
+  }
+
   // Start calibration
   startCalibration() {
     if (this.smoothedX !== 0 || this.smoothedY !== 0 || this.smoothedZ !== 0) {
@@ -165,9 +242,8 @@ class DataStream {
     this.noiseThresholdY = stdY * 2;
     this.noiseThresholdZ = stdZ * 2;
 
-    // Set smoothing factor based on noise
-    this.smoothingFactor = map(avgNoise, 5, 50, 0.05, 0.5);
-    this.smoothingFactor = constrain(this.smoothingFactor, 0.05, 0.5);
+    // Set smoothing factor (EMA stage) based on noise
+    this.setSmoothing(constrain(map(avgNoise, 5, 50, 0.05, 0.5), 0.05, 0.5));
 
     // Calculate baseline from average of samples
     let sumX = 0,
@@ -183,20 +259,14 @@ class DataStream {
     this.baselineY = sumY / this.calibrationSamples.length;
     this.baselineZ = sumZ / this.calibrationSamples.length;
 
-    // Set smoothed values to baseline
+    // Set smoothed values to baseline and restart the filters
     this.smoothedX = this.baselineX;
     this.smoothedY = this.baselineY;
     this.smoothedZ = this.baselineZ;
+    this.filters.reset();
 
-    // Clear and fill with baseline values
-    this.xData = [];
-    this.yData = [];
-    this.zData = [];
-    for (let i = 0; i < maxDataPoints; i++) {
-      this.xData.push(this.baselineX);
-      this.yData.push(this.baselineY);
-      this.zData.push(this.baselineZ);
-    }
+    // The traces start over
+    this.store.reset();
 
     // Reset max deviations
     this.maxDeviationX = 100;
@@ -205,16 +275,46 @@ class DataStream {
 
     this.isCalibrated = true;
     this.isCalibrating = false;
+    this.drift.reset();
+    this.gestures.setRest(this.baselineX, this.baselineY, this.baselineZ);
+    this.gestureMarks = [];
 
     console.log(
-      `Stream ${
-        this.id
-      }: Calibrated! Baseline set. Smoothing: ${this.smoothingFactor.toFixed(
-        3
-      )}`
+      `Stream ${this.id}: Calibrated! Baseline set. Filters: ${this.filters.describe()}`
     );
   }
 
+  // Nudge the baseline and noise thresholds towards a still window
+  updateDrift(x, y, z) {
+    let still = this.drift.add(x, y, z);
+    if (still === null) return;
+
+    let base = this.drift.adjust({ x: this.baselineX, y: this.baselineY, z: this.baselineZ }, still);
+    this.baselineX = base.x;
+    this.baselineY = base.y;
+    this.baselineZ = base.z;
+    this.noiseThresholdX = this.drift.blend(this.noiseThresholdX, still.stdX * 2);
+    this.noiseThresholdY = this.drift.blend(this.noiseThresholdY, still.stdY * 2);
+    this.noiseThresholdZ = this.drift.blend(this.noiseThresholdZ, still.stdZ * 2);
+    this.gestures.setRest(this.baselineX, this.baselineY, this.baselineZ);
+  }
+
+  // Combined calibration noise (mg) from the per-axis thresholds, 0 until calibrated
+  getNoise() {
+    if (!this.isCalibrated) return 0;
+    return Math.sqrt(
+      Math.pow(this.noiseThresholdX / 2, 2) + Math.pow(this.noiseThresholdY / 2, 2) + Math.pow(this.noiseThresholdZ / 2, 2)
+    );
+  }
+
+  // Detect gesture events on the latest sample and mark them on the traces
+  updateGestures(x, y, z, time) {
+    for (let event of this.gestures.update(x, y, z, time, this.getNoise())) {
+      this.gestureMarks.push({ time: this.lastSampleTime, event: event });
+      logGesture(this.id, event);
+    }
+  }
+
   // Calculate standard deviation
   calculateStdDev(samples, axis) {
     let values = samples.map((s) => s[axis]);
@@ -224,9 +324,9 @@ class DataStream {
     return Math.sqrt(variance);
   }
 
-  // Check if stream is active (received data recently)
+  // Check if stream is active (received data recently, or a paused replay holds it)
   isActive() {
-    return Date.now() - this.lastUpdate < 5000; // 5 second timeout
+    return Date.now() - this.lastUpdate < 5000 || isReplayPaused(); // 5 second timeout
   }
 }
 
@@ -238,30 +338,31 @@ function setup() {
   // Cap frame rate to prevent wild fluctuations (600 FPS → 60 FPS causes issues)
   frameRate(60);
 
-  // Initialize serial port
-  port = createSerial();
-
-  // Check for previously approved serial ports
-  let usedPorts = usedSerialPorts();
-  console.log("Previously used ports:", usedPorts);
-
-  if (usedPorts.length > 0) {
-    console.log("Attempting auto-connect to:", usedPorts[0]);
-    port.open(usedPorts[0], BAUDRATE);
-  }
+  // Initialize the input (serial port, or ?sim= / ?ws= from the URL)
+  input.setRecorder(recorder); // Records lines as they arrive
+  input.begin();
 
   console.log("=== MULTI-STREAM ACCELEROMETER VISUALIZER ===");
-  console.log("Supports up to 6 simultaneous data streams");
+  console.log("Supports any number of streams (IDs 1-255)");
   console.log("\nControls:");
   console.log("  S - Connect to serial port");
   console.log("  C - Calibrate ALL active streams");
   console.log("  R - Clear serial buffer (auto-clears after 1 sec of backlog)");
-  console.log("  1-6 - Toggle visibility for Stream 1-6");
+  console.log("  0-9 - Type a stream ID to toggle its visibility (Enter = now, Esc = cancel)");
   console.log("  + - Increase smoothing for all streams");
   console.log("  - - Decrease smoothing for all streams");
+  console.log("  A - Background auto-calibration (baselines follow still devices)");
+  console.log("  E - Filter editor (filter chain per stream or for all streams)");
+  console.log("  H - Show raw data: filtered only / raw overlay / side by side");
+  console.log("  P - Spectrum views: time series / live spectrum / spectrogram");
+  console.log("  M - Start/stop the device simulator, K - next scenario");
+  console.log("  V - Start/stop recording (downloads the session file), G - JSONL/CSV");
+  console.log("  O - Open a session file for replay (Space pause, N step, F speed, Q live)");
+  console.log("  W - Connect to a WebSocket bridge (?ws=<url>, default ws://localhost:8765)");
+  console.log("  B - Connect a Bluetooth micro:bit (microbit-sender-ble.js), again to add more");
   console.log("\nStream Protocol:");
-  console.log("  Registration: Send 'S1' through 'S6' to register a stream");
-  console.log("  Data: Send 'm1' through 'm6' followed by x=, y=, z= values");
+  console.log("  Registration: Send 'S<id>' (e.g. 'S12') to register a stream");
+  console.log("  Data: Send 'm<id>' followed by x=, y=, z= values");
   console.log(
     "\n💡 Tip: Buffer auto-clears if backlogged for >1 second to prevent freezing"
   );
@@ -270,15 +371,16 @@ function setup() {
 function draw() {
   background(0);
 
-  // Read serial data with frame limit to prevent overload
-  if (port && port.opened()) {
+  // Read input data with frame limit to prevent overload
+  if (input.isOpen()) {
     let messagesThisFrame = 0;
 
     // Process multiple messages per frame, but limit to prevent lag
+    input.poll();
     while (messagesThisFrame < MAX_MESSAGES_PER_FRAME) {
-      let data = port.readUntil("\n");
-      if (data !== null && data.length > 0) {
-        parseSerialMessage(data.trim());
+      let event = input.next();
+      if (event !== null) {
+        handleEvent(event);
         messagesThisFrame++;
       } else {
         break; // No more messages available
@@ -302,42 +404,55 @@ function draw() {
     }
   }
 
-  // Draw graphs for all active streams
-  drawAllGraphs();
-
-  // Draw baseline indicator if any stream is calibrated
-  let anyCalibrated = Object.values(streams).some((s) => s.isCalibrated);
-  if (anyCalibrated) {
-    drawBaseline();
+  // Draw graphs (or spectra) for all active streams
+  updateGraphViews();
+  updateSpectra();
+  if (graphView === "spectrum") {
+    drawSpectrum();
+  } else if (graphView === "spectrogram") {
+    drawSpectrogram();
+  } else {
+    drawAllGraphs();
+
+    // Draw baseline indicator if any stream is calibrated
+    let anyCalibrated = Object.values(streams).some((s) => s.isCalibrated);
+    if (anyCalibrated) {
+      drawBaseline();
+    }
   }
 
   // Draw status
   drawStatus();
+  drawGestureLog();
+  if (filterEditor.open) {
+    drawFilterEditor();
+  }
+
+  // Apply a typed stream ID once the user stops typing
+  updateStreamPicker();
 
   // Update performance stats
   updatePerformanceStats();
 }
 
-// Parse incoming serial message
-function parseSerialMessage(message) {
+// Handle a decoded serial event (text line or binary frame)
+function handleEvent(event) {
   // Count messages for performance monitoring (don't log every message - it causes lag!)
   messageCount++;
 
-  // Check for stream registration (S1-S6)
-  let regMatch = message.match(/^S([1-6])$/);
-  if (regMatch) {
-    let streamId = parseInt(regMatch[1]);
-    if (!streams[streamId]) {
-      streams[streamId] = new DataStream(streamId);
-      console.log(`✓ Stream ${streamId} registered`);
+  // Check for stream registration (S<id>)
+  if (event.type === "registration") {
+    if (!streams[event.id]) {
+      streams[event.id] = new DataStream(event.id);
+      console.log(`✓ Stream ${event.id} registered`);
     }
+    streams[event.id].link.recordSignal(event.rssi);
     return;
   }
 
-  // Check for data message (m1-m6)
-  let dataMatch = message.match(/^m([1-6])/);
-  if (dataMatch) {
-    let streamId = parseInt(dataMatch[1]);
+  // Check for data message (m<id>)
+  if (event.type === "sample") {
+    let streamId = event.id;
 
     // Auto-register if not already registered
     if (!streams[streamId]) {
@@ -346,17 +461,12 @@ function parseSerialMessage(message) {
     }
 
     let stream = streams[streamId];
+    stream.link.recordSignal(event.rssi);
+    stream.link.record(event.seq, event.time, Date.now());
 
-    // Extract x, y, z values
-    let xMatch = message.match(/x=([^,\s]+)/);
-    let yMatch = message.match(/y=([^,\s]+)/);
-    let zMatch = message.match(/z=([^,\s]+)/);
-
-    let x = xMatch ? parseFloat(xMatch[1]) : null;
-    let y = yMatch ? parseFloat(yMatch[1]) : null;
-    let z = zMatch ? parseFloat(zMatch[1]) : null;
-
-    if (x === null || y === null || z === null) return;
+    let x = event.x;
+    let y = event.y;
+    let z = event.z;
 
     // If calibrating, collect samples
     if (stream.isCalibrating) {
@@ -364,55 +474,38 @@ function parseSerialMessage(message) {
       return;
     }
 
-    // Initialize smoothed values on first read
-    if (
-      stream.smoothedX === 0 &&
-      stream.smoothedY === 0 &&
-      stream.smoothedZ === 0
-    ) {
-      stream.smoothedX = x;
-      stream.smoothedY = y;
-      stream.smoothedZ = z;
-    } else {
-      // Apply exponential smoothing
-      stream.smoothedX = smoothValue(
-        stream.smoothedX,
-        x,
-        stream.smoothingFactor
-      );
-      stream.smoothedY = smoothValue(
-        stream.smoothedY,
-        y,
-        stream.smoothingFactor
-      );
-      stream.smoothedZ = smoothValue(
-        stream.smoothedZ,
-        z,
-        stream.smoothingFactor
-      );
+    // Follow the baseline while the device is held still
+    if (autoCalibrate && stream.isCalibrated) {
+      stream.updateDrift(x, y, z);
     }
 
-    // Add smoothed values to data arrays
-    stream.addDataPoint(stream.smoothedX, stream.smoothedY, stream.smoothedZ);
-  }
-}
+    // Run the stream's filter chain (sender time when it sends one)
+    let time = event.time !== null ? event.time : Date.now();
+    let filtered = stream.filters.process(x, y, z, time);
+    stream.smoothedX = filtered.x;
+    stream.smoothedY = filtered.y;
+    stream.smoothedZ = filtered.z;
 
-// Smoothing function
-function smoothValue(currentSmoothed, newValue, factor) {
-  return currentSmoothed + (newValue - currentSmoothed) * factor;
+    // Store the filtered values with the raw sample
+    stream.addDataPoint(stream.smoothedX, stream.smoothedY, stream.smoothedZ, { x: x, y: y, z: z }, time);
+
+    // Gesture events from the raw sample
+    stream.updateGestures(x, y, z, time);
+  }
 }
 
 // Clear serial buffer (can be called manually or automatically)
 function clearSerialBuffer() {
-  if (!port || !port.opened()) return 0;
+  if (!input.isOpen()) return 0;
 
   let cleared = 0;
   const MAX_CLEAR = 1000; // Safety limit to prevent infinite loop
 
   // Read and discard all pending messages (with safety limit)
+  input.poll();
   while (cleared < MAX_CLEAR) {
-    let msg = port.readUntil("\n");
-    if (msg === null) break; // No more messages
+    let event = input.next();
+    if (event === null) break; // No more messages
     cleared++;
   }
 
@@ -458,53 +551,395 @@ function updatePerformanceStats() {
   }
 }
 
+// True while a session replay is paused (Space) or being stepped (N)
+function isReplayPaused() {
+  let replay = input.getReplay();
+  return replay !== null && replay.paused;
+}
+
+// Move the time axis up to now and resample every active stream onto it.
+// A paused replay holds the axis at its latest sample instead, so the
+// traces stay put and each N step lands at the right edge.
+function updateGraphViews() {
+  if (isReplayPaused()) {
+    let latest = Object.values(streams)
+      .map((s) => s.store.getLatest())
+      .filter((t) => t !== null);
+    if (latest.length > 0) graphEnd = Math.max(...latest);
+  } else {
+    graphEnd = Date.now() - GRAPH_DELAY;
+  }
+  graphStart = graphEnd - (maxDataPoints - 1) * GRAPH_STEP;
+  for (let streamId in streams) {
+    let stream = streams[streamId];
+    if (stream.isActive()) stream.updateView(graphStart, graphEnd);
+  }
+}
+
 // Draw graphs for all active streams
 function drawAllGraphs() {
-  strokeWeight(2);
-
   for (let streamId in streams) {
     let stream = streams[streamId];
     if (!stream.isActive()) continue;
-    if (stream.xData.length < 2) continue;
-
-    // Draw X data (light color)
-    if (stream.showX) {
-      stroke(stream.colors.x[0], stream.colors.x[1], stream.colors.x[2]);
-      drawLine(stream.xData, stream.baselineX, stream.maxDeviationX);
+    if (stream.store.isEmpty()) continue;
+
+    if (rawView === "split") {
+      // Raw on the left, filtered on the right
+      drawGaps(stream, 0, width / 2);
+      drawGaps(stream, width / 2, width);
+      drawStreamTraces(stream, true, 0, width / 2, 255);
+      drawStreamTraces(stream, false, width / 2, width, 255);
+      drawGestureMarks(stream, 0, width / 2);
+      drawGestureMarks(stream, width / 2, width);
+    } else {
+      // Raw trace faint behind the filtered one
+      drawGaps(stream, 0, width);
+      if (rawView === "overlay") {
+        drawStreamTraces(stream, true, 0, width, 70);
+      }
+      drawStreamTraces(stream, false, 0, width, 255);
+      drawGestureMarks(stream, 0, width);
     }
+  }
 
-    // Draw Y data (medium color)
-    if (stream.showY) {
-      stroke(stream.colors.y[0], stream.colors.y[1], stream.colors.y[2]);
-      drawLine(stream.yData, stream.baselineY, stream.maxDeviationY);
-    }
+  if (rawView !== "split") {
+    drawTimeAxis(0, width);
+  } else {
+    drawTimeAxis(0, width / 2);
+    drawTimeAxis(width / 2, width);
+    stroke(80);
+    strokeWeight(1);
+    line(width / 2, 0, width / 2, height);
+    fill(120);
+    noStroke();
+    textSize(12);
+    textAlign(RIGHT, BOTTOM);
+    text("RAW", width / 2 - 8, height - 8);
+    text("FILTERED", width - 8, height - 8);
+  }
+}
 
-    // Draw Z data (dark color)
-    if (stream.showZ) {
-      stroke(stream.colors.z[0], stream.colors.z[1], stream.colors.z[2]);
-      drawLine(stream.zData, stream.baselineZ, stream.maxDeviationZ);
-    }
+// Draw the visible axes of one stream, raw or filtered, between two x positions
+function drawStreamTraces(stream, raw, left, right, alpha) {
+  let data = raw
+    ? [stream.rawXData, stream.rawYData, stream.rawZData]
+    : [stream.xData, stream.yData, stream.zData];
+  let base = raw
+    ? { x: stream.baselineX, y: stream.baselineY, z: stream.baselineZ }
+    : stream.getGraphBaseline();
+  strokeWeight(raw && rawView === "overlay" ? 1 : 2);
+
+  // Draw X data (light color)
+  if (stream.showX) {
+    stroke(stream.colors.x[0], stream.colors.x[1], stream.colors.x[2], alpha);
+    drawLine(data[0], base.x, stream.maxDeviationX, left, right);
+  }
+
+  // Draw Y data (medium color)
+  if (stream.showY) {
+    stroke(stream.colors.y[0], stream.colors.y[1], stream.colors.y[2], alpha);
+    drawLine(data[1], base.y, stream.maxDeviationY, left, right);
+  }
+
+  // Draw Z data (dark color)
+  if (stream.showZ) {
+    stroke(stream.colors.z[0], stream.colors.z[1], stream.colors.z[2], alpha);
+    drawLine(data[2], base.z, stream.maxDeviationZ, left, right);
+  }
+}
+
+// Vertical marker with a label for each gesture event still on screen
+function drawGestureMarks(stream, left, right) {
+  let color = stream.colors.y;
+  textSize(10);
+  textAlign(LEFT, TOP);
+
+  for (let mark of stream.gestureMarks) {
+    let time = stream.store.toClock(mark.time);
+    if (time < graphStart || time > graphEnd) continue;
+    let x = map(time, graphStart, graphEnd, left, right);
+
+    stroke(color[0], color[1], color[2], 150);
+    strokeWeight(1);
+    line(x, height * 0.1, x, height * 0.9);
+    noStroke();
+    fill(color[0], color[1], color[2]);
+    text(`S${stream.id} ${GESTURE_LABELS[mark.event.type]}`, x + 3, height * 0.9 + 4);
+  }
+}
+
+// Shaded band with a label where a stream sent nothing (its line breaks there)
+function drawGaps(stream, left, right) {
+  if (stream.isCalibrating) return; // Calibration samples aren't graphed
+  let color = stream.colors.y;
+  let top = height * 0.1;
+  let bottom = height * 0.9;
+
+  for (let gap of stream.gaps) {
+    let from = map(gap.start - GRAPH_STEP / 2, graphStart, graphEnd, left, right);
+    let to = map(gap.end + GRAPH_STEP / 2, graphStart, graphEnd, left, right);
+    from = constrain(from, left, right);
+    to = constrain(to, left, right);
+
+    noStroke();
+    fill(color[0], color[1], color[2], 30);
+    rect(from, top, to - from, bottom - top);
+    stroke(color[0], color[1], color[2], 120);
+    strokeWeight(1);
+    line(from, top, from, bottom);
+
+    noStroke();
+    fill(color[0], color[1], color[2]);
+    textSize(10);
+    textAlign(LEFT, BOTTOM);
+    let seconds = (gap.end - gap.start + GRAPH_STEP) / 1000;
+    text(`S${stream.id} gap ${seconds.toFixed(1)}s`, from + 3, bottom - 2);
   }
 }
 
-// Draw a single line with calibrated baseline positioning
-function drawLine(data, baseline, maxDeviation) {
+// Seconds before now along the bottom of the graphs (below the gesture labels)
+function drawTimeAxis(left, right) {
+  let bottom = height * 0.9;
+  let seconds = ((maxDataPoints - 1) * GRAPH_STEP) / 1000;
+  strokeWeight(1);
+  textSize(10);
+  textAlign(CENTER, TOP);
+  for (let s = 0; s <= seconds; s += 2) {
+    let x = map(graphEnd - s * 1000, graphStart, graphEnd, left, right);
+    stroke(60);
+    line(x, bottom, x, bottom + 4);
+    noStroke();
+    fill(100);
+    text(s === 0 ? "now" : `-${s}s`, constrain(x, left + 12, right - 14), bottom + 18);
+  }
+}
+
+// Draw a single line with calibrated baseline positioning. The data is on
+// the graph's time grid - the line breaks where it is null (no data / gap).
+function drawLine(data, baseline, maxDeviation, left = 0, right = width) {
   noFill();
-  beginShape();
 
   let baselineY = height * 0.9;
   let topY = height * 0.1;
   let scale = (baselineY - topY) / maxDeviation;
+  let drawing = false;
 
   for (let i = 0; i < data.length; i++) {
-    let x = map(i, 0, maxDataPoints - 1, 0, width);
+    if (data[i] === null) {
+      if (drawing) endShape();
+      drawing = false;
+      continue;
+    }
+    if (!drawing) beginShape();
+    drawing = true;
+
+    let x = map(i, 0, maxDataPoints - 1, left, right);
     let deviation = data[i] - baseline;
     let y = baselineY - deviation * scale;
     y = constrain(y, 0, height);
     vertex(x, y);
   }
 
-  endShape();
+  if (drawing) endShape();
+}
+
+// Recompute each stream's spectrum from its raw samples (spectrum views only)
+function updateSpectra() {
+  if (graphView === "time") return;
+  if (millis() - lastSpectrumTime < SPECTRUM_INTERVAL) return;
+  lastSpectrumTime = millis();
+
+  for (let streamId in streams) {
+    let stream = streams[streamId];
+    if (!stream.isActive()) continue;
+
+    // Raw samples evenly spaced in real time (at the stream's own rate)
+    let spectrumInput = stream.getSpectrumInput(graphEnd);
+    stream.spectrum = spectrumInput !== null ? computeSpectrum(spectrumInput.axes, spectrumInput.rate) : null;
+    if (stream.spectrum === null) continue;
+
+    stream.spectrogram.push(stream.spectrum.amplitude);
+    if (stream.spectrogram.length > SPECTROGRAM_COLUMNS) {
+      stream.spectrogram.shift();
+    }
+    if (graphView === "spectrogram") {
+      updateSpectrogramImage(stream);
+    }
+  }
+}
+
+// Streams with a spectrum to show
+function getSpectrumStreams() {
+  return Object.values(streams).filter((s) => s.isActive() && s.spectrum !== null);
+}
+
+// e.g. "S3: 1.20 Hz (72/min) | Sway 5% Motion 80% Fast 10% Tremor 5% | 20.0 Hz"
+function describeSpectrum(stream) {
+  let spectrum = stream.spectrum;
+  let dominant = spectrum.dominant !== null
+    ? `${spectrum.dominant.toFixed(2)} Hz (${(spectrum.dominant * 60).toFixed(0)}/min)`
+    : "still";
+  let bands = spectrum.bands.map((b) => `${b.name} ${(b.share * 100).toFixed(0)}%`).join(" ");
+  return `S${stream.id}: ${dominant} | ${bands} | ${spectrum.rate.toFixed(1)} Hz`;
+}
+
+// Live spectrum: amplitude against frequency, one line per stream
+function drawSpectrum() {
+  let active = getSpectrumStreams();
+  let left = 50;
+  let right = width - 20;
+  let top = height * 0.1;
+  let bottom = height * 0.9;
+  drawSpectrumInfo(active);
+  if (active.length === 0) return;
+
+  let maxFreq = Math.max(...active.map((s) => s.spectrum.rate / 2));
+  let maxAmp = 100;
+  for (let stream of active) {
+    maxAmp = Math.max(maxAmp, ...stream.spectrum.amplitude.slice(1));
+  }
+
+  // Frequency axis, with the band edges
+  stroke(100);
+  strokeWeight(1);
+  line(left, bottom, right, bottom);
+  fill(100);
+  noStroke();
+  textSize(10);
+  textAlign(CENTER, TOP);
+  let tick = maxFreq > 15 ? 2 : 1;
+  for (let f = 0; f <= maxFreq; f += tick) {
+    text(`${f} Hz`, map(f, 0, maxFreq, left, right), bottom + 4);
+  }
+  for (let band of SPECTRUM_BANDS) {
+    if (band.min <= 0 || band.min >= maxFreq) continue;
+    let bx = map(band.min, 0, maxFreq, left, right);
+    stroke(50);
+    line(bx, top, bx, bottom);
+  }
+  noStroke();
+  fill(90);
+  textAlign(CENTER, BOTTOM);
+  for (let band of SPECTRUM_BANDS) {
+    let from = map(band.min, 0, maxFreq, left, right);
+    let to = map(Math.min(band.max, maxFreq), 0, maxFreq, left, right);
+    if (from < right) text(band.name, (from + to) / 2, bottom - 4);
+  }
+
+  // One line per stream, with its dominant frequency marked
+  for (let stream of active) {
+    let spectrum = stream.spectrum;
+    let c = stream.colors.y;
+    stroke(c[0], c[1], c[2]);
+    strokeWeight(2);
+    noFill();
+    beginShape();
+    for (let k = 1; k < spectrum.amplitude.length; k++) {
+      let x = map(spectrum.frequencies[k], 0, maxFreq, left, right);
+      let y = map(spectrum.amplitude[k], 0, maxAmp, bottom, top);
+      vertex(x, y);
+    }
+    endShape();
+
+    if (spectrum.dominant !== null) {
+      let k = Math.round(spectrum.dominant / spectrum.resolution);
+      let x = map(spectrum.dominant, 0, maxFreq, left, right);
+      let y = map(spectrum.amplitude[k], 0, maxAmp, bottom, top);
+      noStroke();
+      fill(c[0], c[1], c[2]);
+      circle(x, y, 8);
+      textAlign(CENTER, BOTTOM);
+      textSize(11);
+      text(`S${stream.id} ${spectrum.dominant.toFixed(2)} Hz`, x, y - 6);
+    }
+  }
+
+  // Amplitude scale
+  fill(100);
+  noStroke();
+  textSize(10);
+  textAlign(LEFT, TOP);
+  text(`${maxAmp.toFixed(0)} mg`, 4, top);
+}
+
+// Rebuild a stream's spectrogram image - one column per update, newest on
+// the right, low frequencies at the bottom
+function updateSpectrogramImage(stream) {
+  let bins = SPECTRUM_SIZE / 2;
+  if (stream.spectrogramImage === null) {
+    stream.spectrogramImage = createImage(SPECTROGRAM_COLUMNS, bins);
+  }
+  let img = stream.spectrogramImage;
+  let c = stream.colors.y;
+  let offset = SPECTROGRAM_COLUMNS - stream.spectrogram.length;
+
+  img.loadPixels();
+  for (let col = 0; col < SPECTROGRAM_COLUMNS; col++) {
+    let amplitude = stream.spectrogram[col - offset];
+    for (let k = 0; k < bins; k++) {
+      let level = amplitude && k > 0 ? Math.min(1, Math.sqrt(amplitude[k] / SPECTROGRAM_FULL_SCALE)) : 0;
+      let i = ((bins - 1 - k) * SPECTROGRAM_COLUMNS + col) * 4;
+      img.pixels[i] = c[0] * level;
+      img.pixels[i + 1] = c[1] * level;
+      img.pixels[i + 2] = c[2] * level;
+      img.pixels[i + 3] = 255;
+    }
+  }
+  img.updatePixels();
+}
+
+// Scrolling spectrogram: one strip per stream, time left to right
+function drawSpectrogram() {
+  let active = getSpectrumStreams().filter((s) => s.spectrogramImage !== null);
+  let left = 50;
+  let right = width - 20;
+  let top = height * 0.1;
+  let bottom = height * 0.9;
+  drawSpectrumInfo(active);
+  if (active.length === 0) return;
+
+  let stripH = (bottom - top) / active.length;
+  active.forEach((stream, i) => {
+    let y = top + i * stripH;
+    image(stream.spectrogramImage, left, y + 2, right - left, stripH - 4);
+
+    let c = stream.colors.y;
+    fill(c[0], c[1], c[2]);
+    noStroke();
+    textSize(12);
+    textAlign(RIGHT, CENTER);
+    text(`S${stream.id}`, left - 6, y + stripH / 2);
+    fill(100);
+    textSize(10);
+    textAlign(RIGHT, TOP);
+    text(`${(stream.spectrum.rate / 2).toFixed(0)} Hz`, left - 6, y + 2);
+    textAlign(RIGHT, BOTTOM);
+    text("0", left - 6, y + stripH - 2);
+  });
+
+  fill(100);
+  textSize(10);
+  textAlign(RIGHT, TOP);
+  text(`${((SPECTROGRAM_COLUMNS * SPECTRUM_INTERVAL) / 1000).toFixed(0)} s → now`, right, bottom + 4);
+}
+
+// Dominant frequency and band energies per stream (top right)
+function drawSpectrumInfo(active) {
+  noStroke();
+  textSize(12);
+  textAlign(RIGHT, TOP);
+  let y = 10;
+  if (active.length === 0) {
+    fill(150);
+    text(`Collecting ${SPECTRUM_SIZE} samples per stream...`, width - 10, y);
+    return;
+  }
+  for (let stream of active) {
+    let c = stream.colors.y;
+    fill(c[0], c[1], c[2]);
+    text(describeSpectrum(stream), width - 10, y);
+    y += 16;
+  }
 }
 
 // Draw baseline indicator
@@ -533,14 +968,23 @@ function drawStatus() {
 
   // Active streams count
   let activeStreams = Object.values(streams).filter((s) => s.isActive());
-  text(`Active Streams: ${activeStreams.length}/${MAX_STREAMS}`, 10, y);
+  text(`Active Streams: ${activeStreams.length}/${Object.keys(streams).length}`, 10, y);
   y += lineHeight;
 
-  // Individual stream status
+  // Individual stream status (stop before the list runs into the graphs)
+  let listed = 0;
   for (let streamId in streams) {
     let stream = streams[streamId];
     if (!stream.isActive()) continue;
 
+    if (y > height * 0.5) {
+      fill(150);
+      text(`+${activeStreams.length - listed} more`, 10, y);
+      y += lineHeight;
+      break;
+    }
+    listed++;
+
     // Set color indicator
     let color = stream.colors.y; // Use middle color for label
     fill(color[0], color[1], color[2]);
@@ -552,6 +996,8 @@ function drawStatus() {
       statusText += `CALIBRATING (${stream.calibrationFrames}/30)`;
     } else if (stream.isCalibrated) {
       statusText += "✓ Cal";
+      let drift = stream.drift.describe();
+      if (autoCalibrate && drift !== null) statusText += ` ${drift}`;
     } else {
       statusText += "Not Cal";
     }
@@ -563,8 +1009,15 @@ function drawStatus() {
     if (stream.showZ) axes.push("Z");
     statusText += ` | Axes: ${axes.join(",")}`;
 
-    // Smoothing
-    statusText += ` | Smooth: ${stream.smoothingFactor.toFixed(2)}`;
+    // Filter chain
+    statusText += ` | Filters: ${stream.filters.describe()}`;
+
+    // Signal strength (warn when the device is close to dropping out)
+    let rssi = stream.link.getSignalStrength();
+    if (rssi !== null) {
+      statusText += ` | ${rssi.toFixed(0)} dBm`;
+      if (stream.link.isWeakSignal()) statusText += " ⚠️ WEAK SIGNAL";
+    }
 
     text(statusText, 10, y);
     y += lineHeight;
@@ -593,26 +1046,138 @@ function drawStatus() {
     y += lineHeight;
   }
 
+  // Input / recording status
+  let statusColor = input.getStatusColor();
+  fill(statusColor[0], statusColor[1], statusColor[2]);
+  textSize(14);
+  text(input.getStatusText(), 10, y);
+  y += lineHeight;
+  if (recorder.recording) {
+    fill(255, 80, 80);
+    textSize(14);
+    text(`● REC ${recorder.getDuration().toFixed(0)}s  ${recorder.entries.length} lines (${recorder.format.toUpperCase()})`, 10, y);
+    y += lineHeight;
+  }
+
+  // Stream picker prompt
+  if (pickerInput.length > 0) {
+    fill(255, 230, 100);
+    textSize(14);
+    let target = streams[parseInt(pickerInput)] ? "" : " (not registered)";
+    text(`Toggle stream: ${pickerInput}_${target}  Enter = toggle | Esc = cancel`, 10, y);
+    y += lineHeight;
+  }
+
   // Controls hint
   fill(150);
   textSize(12);
   text(
-    "S=Serial | C=Calibrate | R=Clear Buffer | 1-6=Toggle | +/-=Smooth",
+    "S=Serial | C=Calibrate | R=Clear Buffer | 0-9=Pick stream | +/-=Smooth | A=Auto-cal | E=Filters | H=Raw view | P=Spectrum | V=Record | O=Replay | M=Simulator | W=WebSocket | B=Bluetooth",
     10,
     y
   );
 }
 
+// Remember a gesture event for the on-screen log
+function logGesture(id, event) {
+  gestureLog.push({ id: id, event: event, arrival: Date.now() });
+  if (gestureLog.length > 50) {
+    gestureLog.shift();
+  }
+  console.log(`Stream ${id}: ${describeGesture(event)}`);
+}
+
+// Recent gesture events in the top right corner, fading out with age
+function drawGestureLog() {
+  let now = Date.now();
+  let recent = gestureLog.filter((entry) => now - entry.arrival < GESTURE_LOG_FADE).slice(-GESTURE_LOG_SIZE);
+
+  noStroke();
+  textSize(14);
+  textAlign(RIGHT, TOP);
+  let y = 10;
+  if (graphView !== "time") {
+    y += 16 * max(1, getSpectrumStreams().length) + 10; // Below the spectrum info
+  }
+  for (let i = recent.length - 1; i >= 0; i--) {
+    let entry = recent[i];
+    let age = now - entry.arrival;
+    let alpha = map(age, GESTURE_LOG_FADE / 2, GESTURE_LOG_FADE, 255, 0, true);
+    let color = streams[entry.id] ? streams[entry.id].colors.y : [200, 200, 200];
+
+    fill(color[0], color[1], color[2], alpha);
+    text(`S${entry.id} ${describeGesture(entry.event)}  ${floor(age / 1000)}s ago`, width - 10, y);
+    y += 20;
+  }
+}
+
+// Apply the typed stream ID after a pause, or straight away when no
+// registered ID could still be extended by another digit
+function updateStreamPicker() {
+  if (pickerInput.length === 0) return;
+
+  let couldGrow = Object.keys(streams).some(
+    (id) => id.length > pickerInput.length && id.startsWith(pickerInput)
+  );
+  if (!couldGrow || millis() - pickerLastKeyTime > PICKER_TIMEOUT) {
+    applyStreamPicker();
+  }
+}
+
+function applyStreamPicker() {
+  let streamId = parseInt(pickerInput);
+  pickerInput = "";
+  toggleStreamVisibility(streamId);
+}
+
+// Toggle all axes for one stream
+function toggleStreamVisibility(streamId) {
+  if (streams[streamId]) {
+    let stream = streams[streamId];
+    let newState = !(stream.showX && stream.showY && stream.showZ);
+    stream.showX = newState;
+    stream.showY = newState;
+    stream.showZ = newState;
+    console.log(`Stream ${streamId} visibility: ${newState ? "ON" : "OFF"}`);
+  } else {
+    console.log(`Stream ${streamId} not registered yet`);
+  }
+}
+
 // Key press handler
 function keyPressed() {
+  // The filter editor takes all keys while it is open
+  if (filterEditor.open) {
+    handleFilterEditorKey();
+    return false;
+  }
+
+  // Background auto-calibration on/off
+  if (key === "a" || key === "A") {
+    autoCalibrate = !autoCalibrate;
+    for (let streamId in streams) {
+      streams[streamId].drift.window = []; // Start with a fresh stillness window
+    }
+    console.log(`Auto-calibration: ${autoCalibrate ? "ON" : "OFF"}`);
+  }
+
+  // Filter editor and raw/filtered view
+  if (key === "e" || key === "E") {
+    openFilterEditor();
+  }
+  if (key === "p" || key === "P") {
+    graphView = GRAPH_VIEWS[(GRAPH_VIEWS.indexOf(graphView) + 1) % GRAPH_VIEWS.length];
+    lastSpectrumTime = 0; // Update straight away
+    console.log(`Graph view: ${graphView}`);
+  }
+  if (key === "h" || key === "H") {
+    rawView = RAW_VIEWS[(RAW_VIEWS.indexOf(rawView) + 1) % RAW_VIEWS.length];
+    console.log(`Graph view: ${rawView}`);
+  }
+
   // Serial connection
   if (key === "s" || key === "S") {
-    if (!port.opened()) {
-      port.open(BAUDRATE);
-      console.log("Opening serial port...");
-    } else {
-      console.log("Port already open");
-    }
+    input.useSerial();
   }
 
   // Calibrate all active streams
@@ -633,27 +1198,82 @@ function keyPressed() {
     clearSerialBuffer();
   }
 
-  // Toggle individual stream visibility (1-6)
-  if (key >= "1" && key <= "6") {
-    let streamId = parseInt(key);
-    if (streams[streamId]) {
-      let stream = streams[streamId];
-      // Toggle all axes for this stream
-      let newState = !(stream.showX && stream.showY && stream.showZ);
-      stream.showX = newState;
-      stream.showY = newState;
-      stream.showZ = newState;
-      console.log(`Stream ${streamId} visibility: ${newState ? "ON" : "OFF"}`);
+  // Stream picker: digits build up a stream ID to toggle
+  if (key >= "0" && key <= "9") {
+    if (pickerInput.length < 3) {
+      pickerInput += key;
+      pickerLastKeyTime = millis();
+    }
+  }
+  if (pickerInput.length > 0) {
+    if (keyCode === ENTER) {
+      applyStreamPicker();
+    } else if (keyCode === ESCAPE) {
+      pickerInput = "";
+    } else if (keyCode === BACKSPACE) {
+      pickerInput = pickerInput.slice(0, -1);
+    }
+  }
+
+  // Device simulator: M = start/stop, K = next scenario
+  if (key === "m" || key === "M") {
+    input.toggleSimulator();
+  }
+  if ((key === "k" || key === "K") && input.getSimulator()) {
+    input.getSimulator().cycleScenario();
+  }
+
+  // WebSocket bridge (URL from ?ws=..., default ws://localhost:8765)
+  if (key === "w" || key === "W") {
+    input.useWebSocket(new URLSearchParams(window.location.search).get("ws"));
+  }
+
+  // Bluetooth senders (microbit-sender-ble.js) - each press connects one more
+  if (key === "b" || key === "B") {
+    input.useBluetooth();
+  }
+
+  // Session recording: V = start/stop (downloads the file), G = JSONL/CSV
+  if (key === "v" || key === "V") {
+    if (recorder.recording) {
+      recorder.stop();
     } else {
-      console.log(`Stream ${streamId} not registered yet`);
+      recorder.start();
+    }
+  }
+  if (key === "g" || key === "G") {
+    console.log(`Recording format: ${recorder.toggleFormat().toUpperCase()}`);
+  }
+
+  // Session replay: O = open file, Space = pause, N = step, F = speed, Q = back to live
+  if (key === "o" || key === "O") {
+    openSessionFile(startReplay);
+  }
+  let replay = input.getReplay();
+  if (replay) {
+    if (key === " ") {
+      replay.togglePause();
+    }
+    if (key === "n" || key === "N") {
+      let line = replay.step();
+      if (line !== null) handleEvent(parseLine(line));
+    }
+    if (key === "f" || key === "F") {
+      console.log(`Replay speed: ${replay.cycleSpeed()}x`);
+    }
+    if (key === "q" || key === "Q") {
+      input.useLive();
+      streams = {};
+      console.log("Replay stopped - back to live data");
     }
   }
 
-  // Increase smoothing for all streams
+  // Increase smoothing for all streams (EMA stage of each filter chain)
   if (key === "+" || key === "=") {
     for (let streamId in streams) {
       let stream = streams[streamId];
-      stream.smoothingFactor = Math.max(0.05, stream.smoothingFactor - 0.05);
+      let smoothing = stream.getSmoothing();
+      if (smoothing !== null) stream.setSmoothing(Math.max(0.05, smoothing - 0.05));
     }
     console.log("Smoothing increased for all streams");
   }
@@ -662,12 +1282,156 @@ function keyPressed() {
   if (key === "-" || key === "_") {
     for (let streamId in streams) {
       let stream = streams[streamId];
-      stream.smoothingFactor = Math.min(1.0, stream.smoothingFactor + 0.05);
+      let smoothing = stream.getSmoothing();
+      if (smoothing !== null) stream.setSmoothing(Math.min(1.0, smoothing + 0.05));
     }
     console.log("Smoothing decreased for all streams");
   }
 }
 
+// Filter editor
+// Up/Down pick a parameter, Left/Right change it, 1-7 add a stage,
+// Backspace/Delete remove the selected stage, [ ] switch between all streams
+// and single streams, E/Esc close. Changes for all streams are saved and
+// also used by the other sketches.
+
+function openFilterEditor() {
+  filterEditor.open = true;
+  filterEditor.target = "all";
+  filterEditor.row = 0;
+  filterEditor.all = new FilterPipeline(filterConfig);
+}
+
+// Pipeline being edited
+function getEditedFilters() {
+  if (filterEditor.target === "all") return filterEditor.all;
+  return streams[filterEditor.target].filters;
+}
+
+// One row per stage parameter: { stage, param }
+function getFilterEditorRows(pipeline) {
+  let rows = [];
+  pipeline.stages.forEach((stage, index) => {
+    for (let name in stage.params) {
+      rows.push({ stage: index, param: name });
+    }
+  });
+  return rows;
+}
+
+// Apply an edit of the "all streams" chain to every stream and save it
+function applyFilterEdit() {
+  if (filterEditor.target !== "all") return;
+  filterConfig = filterEditor.all.getConfig();
+  for (let streamId in streams) {
+    streams[streamId].filters.setConfig(filterConfig);
+  }
+  saveFilterConfig(filterConfig);
+}
+
+function handleFilterEditorKey() {
+  if (filterEditor.target !== "all" && !streams[filterEditor.target]) {
+    filterEditor.target = "all"; // Stream went away (e.g. replay started)
+  }
+  let pipeline = getEditedFilters();
+  let rows = getFilterEditorRows(pipeline);
+  let row = rows[filterEditor.row];
+
+  if (key === "e" || key === "E" || keyCode === ESCAPE) {
+    filterEditor.open = false;
+  } else if (keyCode === UP_ARROW) {
+    filterEditor.row = Math.max(0, filterEditor.row - 1);
+  } else if (keyCode === DOWN_ARROW) {
+    filterEditor.row = Math.max(0, Math.min(rows.length - 1, filterEditor.row + 1));
+  } else if ((keyCode === LEFT_ARROW || keyCode === RIGHT_ARROW) && row) {
+    pipeline.adjustParam(row.stage, row.param, keyCode === RIGHT_ARROW ? 1 : -1);
+    applyFilterEdit();
+  } else if (key >= "1" && key <= String(FILTER_TYPE_NAMES.length)) {
+    pipeline.addStage(FILTER_TYPE_NAMES[parseInt(key) - 1]);
+    filterEditor.row = getFilterEditorRows(pipeline).length - 1;
+    applyFilterEdit();
+  } else if ((keyCode === BACKSPACE || keyCode === DELETE) && row) {
+    pipeline.removeStage(row.stage);
+    filterEditor.row = Math.max(0, Math.min(filterEditor.row, getFilterEditorRows(pipeline).length - 1));
+    applyFilterEdit();
+  } else if (key === "[" || key === "]") {
+    // Cycle: all streams, then each active stream
+    let targets = ["all"].concat(
+      Object.keys(streams).filter((id) => streams[id].isActive())
+    );
+    let index = targets.indexOf(String(filterEditor.target));
+    index = (index + (key === "]" ? 1 : targets.length - 1)) % targets.length;
+    filterEditor.target = targets[index];
+    filterEditor.row = 0;
+  }
+}
+
+function drawFilterEditor() {
+  if (filterEditor.target !== "all" && !streams[filterEditor.target]) {
+    filterEditor.target = "all";
+  }
+  let pipeline = getEditedFilters();
+  let rows = getFilterEditorRows(pipeline);
+  let lineHeight = 18;
+  let panelW = 340;
+  let panelH = 130 + (pipeline.stages.length + rows.length) * lineHeight;
+  let x = width - panelW - 10;
+  let y = 10;
+
+  fill(20, 20, 30, 230);
+  stroke(100);
+  strokeWeight(1);
+  rect(x, y, panelW, panelH, 6);
+
+  noStroke();
+  textAlign(LEFT, TOP);
+  textSize(14);
+  fill(150, 200, 255);
+  let targetName = filterEditor.target === "all" ? "All streams" : `Stream ${filterEditor.target}`;
+  text(`FILTERS - ${targetName}`, x + 10, y + 8);
+  y += 32;
+
+  textSize(12);
+  if (pipeline.stages.length === 0) {
+    fill(150);
+    text("No filters - raw data", x + 10, y);
+    y += lineHeight;
+  }
+
+  let rowIndex = 0;
+  pipeline.stages.forEach((stage, index) => {
+    fill(220);
+    text(`${index + 1}. ${FILTER_TYPES[stage.type].label}`, x + 10, y);
+    y += lineHeight;
+    for (let name in stage.params) {
+      let selected = rowIndex === filterEditor.row;
+      fill(selected ? color(255, 230, 100) : color(170));
+      text(`${selected ? "▶" : " "} ${name}`, x + 24, y);
+      text(String(stage.params[name]), x + 160, y);
+      y += lineHeight;
+      rowIndex++;
+    }
+  });
+
+  // Key help and the stage types that can be added
+  y += 8;
+  fill(130);
+  text("↑↓ select | ←→ change | Del remove | [ ] stream | E close", x + 10, y);
+  y += lineHeight;
+  let types = FILTER_TYPE_NAMES.map((type, i) => `${i + 1} ${FILTER_TYPES[type].label}`);
+  text(`Add: ${types.slice(0, 3).join(", ")}`, x + 10, y);
+  y += lineHeight;
+  text(`     ${types.slice(3, 5).join(", ")}`, x + 10, y);
+  y += lineHeight;
+  text(`     ${types.slice(5).join(", ")}`, x + 10, y);
+}
+
+// Start playing a recorded session (clears the current graphs)
+function startReplay(entries, name) {
+  streams = {};
+  input.useReplay(entries, name);
+}
+
 function windowResized() {
   resizeCanvas(windowWidth, windowHeight);
 }
@@ -1,6 +1,7 @@
-// Serial port variable
-let port;
+// Data input - serial port, simulator, replay or WebSocket (see inputSources.js)
 const BAUDRATE = 115200;
+let input = new InputManager(BAUDRATE);
+const MAX_EVENTS_PER_FRAME = 20; // Other streams' messages share the link, keep up with them
 
 // Graph data arrays
 let xData = [];
@@ -8,6 +9,9 @@ let yData = [];
 let zData = [];
 let maxDataPoints = 200;
 
+// Stream shown in this view (null = first stream that sends data)
+let trackedStreamId = null;
+
 // Visibility toggles for each axis
 let showX = true;
 let showY = true;
@@ -28,7 +32,11 @@ let maxDeviationZ = 1000;
 let smoothedX = 0;
 let smoothedY = 0;
 let smoothedZ = 0;
-let smoothingFactor = 0.2; // 0 = max smoothing, 1 = no smoothing
+let smoothingFactor = 0.2; // 0 = max smoothing, 1 = no smoothing (alpha of the EMA stage)
+
+// Filter chain (see filters.js) - uses the chain saved from the sketchGraphs.js
+// filter editor when there is one
+let filters = new FilterPipeline(loadFilterConfig([{ type: "ema", params: { alpha: smoothingFactor } }]));
 
 // Calibration noise measurement
 let isCalibrating = false;
@@ -41,25 +49,17 @@ let noiseThresholdX = 0;
 let noiseThresholdY = 0;
 let noiseThresholdZ = 0;
 
+// Session recording
+let recorder = new SessionRecorder();
+
 function setup() {
   createCanvas(windowWidth, windowHeight);
 
-  // Initialize serial port
-  port = createSerial();
-
+  // Initialize the input - auto-connects to a previously used serial port,
+  // or starts the simulator / WebSocket when ?sim= / ?ws= is in the URL
   // Serial connection via 's' key press (no button)
-
-  // Note: port.on() is not supported in this version of p5.webserial
-
-  // Check for previously approved serial ports
-  let usedPorts = usedSerialPorts();
-  console.log("Previously used ports:", usedPorts);
-
-  if (usedPorts.length > 0) {
-    // Auto-connect to previously used port
-    console.log("Attempting auto-connect to:", usedPorts[0]);
-    port.open(usedPorts[0], BAUDRATE);
-  }
+  input.setRecorder(recorder); // Records lines as they arrive
+  input.begin();
 
   console.log("Controls:");
   console.log("  S - Connect to serial port");
@@ -71,18 +71,22 @@ function setup() {
   console.log("  Z - Toggle Z axis graph (dark orange)");
   console.log("  + - Increase smoothing manually");
   console.log("  - - Decrease smoothing manually");
+  console.log("  M - Start/stop the device simulator, K - next scenario");
+  console.log("  V - Start/stop recording (downloads the session file), G - JSONL/CSV");
+  console.log("  O - Open a session file for replay (Space pause, N step, F speed, Q live)");
+  console.log("  W - Connect to a WebSocket bridge (?ws=<url>, default ws://localhost:8765)");
+  console.log("  B - Connect a Bluetooth micro:bit (microbit-sender-ble.js), again to add more");
 }
 
 function draw() {
   background(0);
 
-  // Check if port is connected and read data
-  if (port && port.opened()) {
-    // Try to read data (readUntil returns null if no complete line available)
-    let data = port.readUntil("\n");
-    if (data !== null && data.length > 0) {
-      parseSerialMessage(data.trim());
-    }
+  // Read data from the current input (next() returns null if no complete message available)
+  input.poll();
+  for (let i = 0; i < MAX_EVENTS_PER_FRAME; i++) {
+    let event = input.next();
+    if (event === null) break;
+    handleEvent(event);
   }
 
   // Draw continuous line graphs
@@ -97,24 +101,27 @@ function draw() {
   drawStatus();
 }
 
-// Smoothing function - exponential moving average
-function smoothValue(currentSmoothed, newValue, factor) {
-  return currentSmoothed + (newValue - currentSmoothed) * factor;
+// Change the smoothing factor (EMA stage of the filter chain)
+function setSmoothing(factor) {
+  smoothingFactor = factor;
+  filters.setTypeParam("ema", "alpha", Number(factor.toFixed(3)));
 }
 
-// Function to parse incoming serial message
-function parseSerialMessage(message) {
-  // Check if message starts with 'm' (accelerometer data)
-  if (message.startsWith("m")) {
-    // Extract x, y, z values using regex
-    let xMatch = message.match(/x=([^,\s]+)/);
-    let yMatch = message.match(/y=([^,\s]+)/);
-    let zMatch = message.match(/z=([^,\s]+)/);
+// Function to handle a decoded serial event (text line or binary frame)
+function handleEvent(event) {
+  if (event.type !== "sample") return;
+
+  // Follow a single stream - lock onto the first one that sends data
+  if (trackedStreamId === null) {
+    trackedStreamId = event.id;
+    console.log("Tracking stream", trackedStreamId);
+  }
 
-    // Extract values or set to null if not found
-    let x = xMatch ? parseFloat(xMatch[1]) : null;
-    let y = yMatch ? parseFloat(yMatch[1]) : null;
-    let z = zMatch ? parseFloat(zMatch[1]) : null;
+  // Only accelerometer data from the tracked stream is graphed
+  if (event.id === trackedStreamId) {
+    let x = event.x;
+    let y = event.y;
+    let z = event.z;
 
     // If calibrating, collect samples for noise measurement
     if (isCalibrating && x !== null && y !== null && z !== null) {
@@ -136,19 +143,12 @@ function parseSerialMessage(message) {
       return; // Don't process data during calibration
     }
 
-    // Apply smoothing and add to data arrays if valid
+    // Apply the filter chain and add to data arrays if valid
     if (x !== null && y !== null && z !== null) {
-      // Initialize smoothed values on first read
-      if (smoothedX === 0 && smoothedY === 0 && smoothedZ === 0) {
-        smoothedX = x;
-        smoothedY = y;
-        smoothedZ = z;
-      } else {
-        // Apply exponential smoothing
-        smoothedX = smoothValue(smoothedX, x, smoothingFactor);
-        smoothedY = smoothValue(smoothedY, y, smoothingFactor);
-        smoothedZ = smoothValue(smoothedZ, z, smoothingFactor);
-      }
+      let filtered = filters.process(x, y, z, event.time !== null ? event.time : Date.now());
+      smoothedX = filtered.x;
+      smoothedY = filtered.y;
+      smoothedZ = filtered.z;
 
       // Add smoothed values to data arrays
       addDataPoint(smoothedX, smoothedY, smoothedZ);
@@ -324,10 +324,19 @@ function drawStatus() {
     statusText += " | Not calibrated (press C)";
   }
 
-  // Show smoothing factor
-  statusText += " | Smoothing: " + smoothingFactor.toFixed(2);
+  // Show the filter chain
+  statusText += " | Filters: " + filters.describe();
 
   text(statusText, 10, 10);
+
+  // Input / recording status
+  let statusColor = input.getStatusColor();
+  fill(statusColor[0], statusColor[1], statusColor[2]);
+  text(input.getStatusText(), 10, 30);
+  if (recorder.recording) {
+    fill(255, 80, 80);
+    text(`● REC ${recorder.getDuration().toFixed(0)}s  ${recorder.entries.length} lines`, 10, 50);
+  }
 }
 
 // Calculate standard deviation for noise measurement
@@ -376,8 +385,7 @@ function finishCalibration() {
   // More noise = lower factor (more smoothing)
   // Less noise = higher factor (less smoothing, more responsive)
   // Typical noise range: 5-50, map to smoothing range: 0.05-0.5
-  smoothingFactor = map(avgNoise, 5, 50, 0.05, 0.5);
-  smoothingFactor = constrain(smoothingFactor, 0.05, 0.5);
+  setSmoothing(constrain(map(avgNoise, 5, 50, 0.05, 0.5), 0.05, 0.5));
 
   console.log("Auto-set smoothing factor to:", smoothingFactor.toFixed(3));
 
@@ -399,6 +407,7 @@ function finishCalibration() {
   smoothedX = baselineX;
   smoothedY = baselineY;
   smoothedZ = baselineZ;
+  filters.reset();
 
   // Clear all data arrays and fill with baseline values (flat lines)
   xData = [];
@@ -436,11 +445,7 @@ function finishCalibration() {
 function keyPressed() {
   if (key === "s" || key === "S") {
     console.log("S key pressed - attempting to open serial port");
-    if (!port.opened()) {
-      port.open(BAUDRATE);
-    } else {
-      console.log("Port already open");
-    }
+    input.useSerial();
   }
 
   if (key === "c" || key === "C") {
@@ -476,7 +481,7 @@ function keyPressed() {
   }
 
   if (key === "+" || key === "=") {
-    smoothingFactor = Math.max(0.05, smoothingFactor - 0.05);
+    setSmoothing(Math.max(0.05, smoothingFactor - 0.05));
     console.log(
       "Smoothing increased (factor:",
       smoothingFactor.toFixed(2),
@@ -485,13 +490,83 @@ function keyPressed() {
   }
 
   if (key === "-" || key === "_") {
-    smoothingFactor = Math.min(1.0, smoothingFactor + 0.05);
+    setSmoothing(Math.min(1.0, smoothingFactor + 0.05));
     console.log(
       "Smoothing decreased (factor:",
       smoothingFactor.toFixed(2),
       ")"
     );
   }
+
+  // Device simulator: M = start/stop, K = next scenario
+  if (key === "m" || key === "M") {
+    input.toggleSimulator();
+  }
+  if ((key === "k" || key === "K") && input.getSimulator()) {
+    input.getSimulator().cycleScenario();
+  }
+
+  // WebSocket bridge (URL from ?ws=..., default ws://localhost:8765)
+  if (key === "w" || key === "W") {
+    input.useWebSocket(new URLSearchParams(window.location.search).get("ws"));
+  }
+
+  // Bluetooth senders (microbit-sender-ble.js) - each press connects one more
+  if (key === "b" || key === "B") {
+    input.useBluetooth();
+  }
+
+  // Session recording: V = start/stop (downloads the file), G = JSONL/CSV
+  if (key === "v" || key === "V") {
+    if (recorder.recording) {
+      recorder.stop();
+    } else {
+      recorder.start();
+    }
+  }
+  if (key === "g" || key === "G") {
+    console.log("Recording format:", recorder.toggleFormat().toUpperCase());
+  }
+
+  // Session replay: O = open file, Space = pause, N = step, F = speed, Q = back to live
+  if (key === "o" || key === "O") {
+    openSessionFile(startReplay);
+  }
+  let replay = input.getReplay();
+  if (replay) {
+    if (key === " ") {
+      replay.togglePause();
+    }
+    if (key === "n" || key === "N") {
+      let line = replay.step();
+      if (line !== null) handleEvent(parseLine(line));
+    }
+    if (key === "f" || key === "F") {
+      console.log("Replay speed:", replay.cycleSpeed() + "x");
+    }
+    if (key === "q" || key === "Q") {
+      input.useLive();
+      resetGraphs();
+      console.log("Replay stopped - back to live data");
+    }
+  }
+}
+
+// Start playing a recorded session (clears the graphs)
+function startReplay(entries, name) {
+  resetGraphs();
+  input.useReplay(entries, name);
+}
+
+// Forget the tracked stream and its data
+function resetGraphs() {
+  xData = [];
+  yData = [];
+  zData = [];
+  filters.reset();
+  trackedStreamId = null;
+  isCalibrated = false;
+  isCalibrating = false;
 }
 
 function doubleClicked() {
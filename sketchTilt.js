@@ -0,0 +1,299 @@
+// Tilt view
+// Shows every device as a tile that tilts with it, a 2D spirit level and its
+// current motion level - for micro:bits on wrists and sticks where the
+// orientation matters more than the shaking. Pitch/roll come from
+// OrientationTracker (orientation.js), heading from the sender's compass.
+
+// Data input - serial port, simulator, replay or WebSocket (see inputSources.js)
+const BAUDRATE = 115200;
+let input = new InputManager(BAUDRATE);
+const MAX_EVENTS_PER_FRAME = 50;
+
+let streams = {}; // Key: stream ID (1-255), Value: TiltStream
+
+// Motion levels from linear acceleration (mg) - same scale as the motion monitor
+// before calibration: deadzone 250 mg, base threshold 300 mg
+const TILT_DEADZONE = 250;
+const TILT_THRESHOLDS = [300, 540, 1050, 1800, 3000];
+const MOTION_LABELS = ["STILL", "MICRO", "SLIGHT", "MODERATE", "ACTIVE", "ENERGETIC"];
+const MOTION_COLORS = [
+  [80, 80, 80],
+  [120, 120, 200],
+  [100, 200, 100],
+  [255, 200, 0],
+  [255, 140, 60],
+  [255, 100, 100],
+];
+const LEVEL_RANGE = 45; // Degrees of tilt that move the spirit level bubble to the rim
+
+class TiltStream {
+  constructor(id) {
+    this.id = id;
+    this.color = getStreamColor(id);
+    this.orientation = new OrientationTracker();
+    this.activity = 0; // Peak-held linear acceleration (mg)
+    this.motion = 0;
+    this.lastUpdate = Date.now();
+  }
+
+  update(x, y, z) {
+    this.orientation.update(x, y, z);
+
+    // Hold peaks briefly so single samples of a shake still show
+    this.activity = Math.max(this.orientation.linear, this.activity * 0.9);
+    let level = 0;
+    if (this.activity >= TILT_DEADZONE) {
+      for (let i = 0; i < TILT_THRESHOLDS.length; i++) {
+        if (this.activity >= TILT_THRESHOLDS[i]) level = i + 1;
+      }
+    }
+    this.motion = level;
+    this.lastUpdate = Date.now();
+  }
+
+  isActive() {
+    return Date.now() - this.lastUpdate < 5000;
+  }
+}
+
+function setup() {
+  createCanvas(windowWidth, windowHeight);
+  frameRate(60);
+
+  input.begin();
+
+  console.log("=== TILT VIEW ===");
+  console.log("  S - Connect to serial port");
+  console.log("  M - Start/stop the device simulator, K - next scenario");
+  console.log("  W - Connect to a WebSocket bridge, B - connect a Bluetooth micro:bit");
+  console.log("  O - Open a session file for replay (Space pause, Q live)");
+}
+
+function draw() {
+  background(20);
+
+  input.poll();
+  for (let i = 0; i < MAX_EVENTS_PER_FRAME; i++) {
+    let event = input.next();
+    if (event === null) break;
+    handleEvent(event);
+  }
+
+  drawHeader();
+  drawTiles();
+}
+
+function handleEvent(event) {
+  if (event.type !== "registration" && event.type !== "sample" && event.type !== "sensors") return;
+
+  if (!streams[event.id]) {
+    streams[event.id] = new TiltStream(event.id);
+    console.log(`✓ Stream ${event.id} registered`);
+  }
+  let stream = streams[event.id];
+
+  if (event.type === "sample") {
+    stream.update(event.x, event.y, event.z);
+  } else if (event.type === "sensors") {
+    stream.orientation.updateHeading(event.heading);
+  }
+}
+
+function drawHeader() {
+  fill(150, 200, 255);
+  noStroke();
+  textAlign(CENTER, TOP);
+  textSize(28);
+  textStyle(BOLD);
+  text("Tilt View", width / 2, 15);
+
+  textSize(14);
+  textStyle(NORMAL);
+  let statusColor = input.getStatusColor();
+  fill(statusColor[0], statusColor[1], statusColor[2]);
+  text(input.getStatusText(), width / 2, 50);
+}
+
+// Grid of cells, one per active stream
+function drawTiles() {
+  let ids = Object.keys(streams)
+    .map(Number)
+    .filter((id) => streams[id].isActive())
+    .sort((a, b) => a - b);
+
+  let top = 80;
+  if (ids.length === 0) {
+    fill(120);
+    textAlign(CENTER, CENTER);
+    textSize(16);
+    text("Waiting for devices...", width / 2, height / 2);
+    return;
+  }
+
+  // Cells roughly twice as wide as high
+  let cols = max(1, ceil(sqrt((ids.length * width) / (2 * (height - top)))));
+  let rows = ceil(ids.length / cols);
+  let cellW = width / cols;
+  let cellH = (height - top) / rows;
+
+  for (let i = 0; i < ids.length; i++) {
+    let cx = (i % cols) * cellW;
+    let cy = top + floor(i / cols) * cellH;
+    drawTiltCell(streams[ids[i]], cx, cy, cellW, cellH);
+  }
+}
+
+function drawTiltCell(stream, x, y, w, h) {
+  let o = stream.orientation;
+  let size = min(h * 0.55, w * 0.28);
+  let midY = y + h / 2;
+
+  // Cell frame
+  noFill();
+  stroke(50);
+  strokeWeight(1);
+  rect(x + 4, y + 4, w - 8, h - 8, 6);
+
+  // Label
+  noStroke();
+  fill(stream.color[0], stream.color[1], stream.color[2]);
+  textAlign(LEFT, TOP);
+  textSize(14);
+  textStyle(BOLD);
+  text(`S${stream.id}`, x + 12, y + 10);
+  textStyle(NORMAL);
+
+  drawTiltTile(stream, x + w * 0.2, midY, size);
+  drawSpiritLevel(o, x + w * 0.5, midY, size * 0.5);
+
+  // Motion level
+  let color = MOTION_COLORS[stream.motion];
+  let barX = x + w * 0.72;
+  let barW = w * 0.06;
+  for (let level = 1; level <= 5; level++) {
+    let segH = size / 5;
+    let segY = midY + size / 2 - level * segH;
+    if (level <= stream.motion) {
+      fill(color[0], color[1], color[2]);
+    } else {
+      fill(45);
+    }
+    rect(barX, segY + 1, barW, segH - 2, 2);
+  }
+  fill(color[0], color[1], color[2]);
+  textAlign(LEFT, CENTER);
+  textSize(12);
+  text(MOTION_LABELS[stream.motion], barX + barW + 6, midY);
+
+  // Angles
+  fill(180);
+  textAlign(CENTER, BOTTOM);
+  textSize(12);
+  let heading = o.heading !== null ? `  H ${o.heading.toFixed(0)}°` : "";
+  text(`P ${o.pitch.toFixed(0)}°  R ${o.roll.toFixed(0)}°${heading}`, x + w / 2, y + h - 8);
+}
+
+// Square seen from above, tilted by pitch/roll (with a little perspective so
+// the raised edge looks bigger). The logo end points up the screen.
+function drawTiltTile(stream, cx, cy, size) {
+  let o = stream.orientation;
+  let pitch = radians(o.pitch);
+  let roll = radians(o.roll);
+  let r = size / 2;
+  let d = r * 4; // Viewer distance for the perspective
+
+  let corners = [[-r, r], [r, r], [r, -r], [-r, -r]]; // [x right, y toward logo]
+  fill(stream.color[0], stream.color[1], stream.color[2], 160);
+  stroke(stream.color[0], stream.color[1], stream.color[2]);
+  strokeWeight(2);
+  beginShape();
+  for (let [px, py] of corners) {
+    let z = py * sin(pitch) - px * sin(roll);
+    let p = d / (d - z);
+    vertex(cx + px * cos(roll) * p, cy - py * cos(pitch) * p);
+  }
+  endShape(CLOSE);
+
+  // Logo end marker
+  let logoZ = r * sin(pitch);
+  let logoP = d / (d - logoZ);
+  noStroke();
+  fill(255);
+  circle(cx, cy - r * 0.75 * cos(pitch) * logoP, size * 0.08);
+
+  // Compass needle (north) when the sender reports a heading
+  if (o.heading !== null) {
+    let a = radians(-o.heading) - HALF_PI;
+    stroke(255, 80, 80);
+    strokeWeight(2);
+    line(cx, cy, cx + cos(a) * r * 0.5, cy + sin(a) * r * 0.5);
+  }
+}
+
+// Bubble level - the bubble floats towards the raised side
+function drawSpiritLevel(o, cx, cy, radius) {
+  stroke(120);
+  strokeWeight(1);
+  fill(30, 40, 30);
+  circle(cx, cy, radius * 2);
+  line(cx - radius, cy, cx + radius, cy);
+  line(cx, cy - radius, cx, cy + radius);
+  noFill();
+  circle(cx, cy, radius * 0.5);
+
+  let bx = constrain(-o.roll / LEVEL_RANGE, -1, 1) * radius;
+  let by = constrain(-o.pitch / LEVEL_RANGE, -1, 1) * radius;
+  let dist = sqrt(bx * bx + by * by);
+  if (dist > radius * 0.85) {
+    bx = (bx / dist) * radius * 0.85;
+    by = (by / dist) * radius * 0.85;
+  }
+  let level = abs(o.pitch) < 3 && abs(o.roll) < 3;
+  noStroke();
+  fill(level ? color(120, 255, 120) : color(200, 255, 120));
+  circle(cx + bx, cy + by, radius * 0.3);
+}
+
+function keyPressed() {
+  if (key === "s" || key === "S") {
+    input.useSerial();
+  }
+  if (key === "m" || key === "M") {
+    input.toggleSimulator();
+  }
+  if ((key === "k" || key === "K") && input.getSimulator()) {
+    input.getSimulator().cycleScenario();
+  }
+  if (key === "w" || key === "W") {
+    input.useWebSocket(new URLSearchParams(window.location.search).get("ws"));
+  }
+  if (key === "b" || key === "B") {
+    input.useBluetooth();
+  }
+
+  // Session replay: O = open file, Space = pause, Q = back to live
+  if (key === "o" || key === "O") {
+    openSessionFile((entries, name) => {
+      streams = {};
+      input.useReplay(entries, name);
+    });
+  }
+  let replay = input.getReplay();
+  if (replay) {
+    if (key === " ") {
+      replay.togglePause();
+    }
+    if (key === "q" || key === "Q") {
+      input.useLive();
+      streams = {};
+    }
+  }
+}
+
+function windowResized() {
+  resizeCanvas(windowWidth, windowHeight);
+}
+
+function doubleClicked() {
+  fullscreen(!fullscreen());
+}
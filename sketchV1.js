@@ -1,6 +1,7 @@
-// Serial port variable
-let port;
+// Data input - serial port, simulator, replay or WebSocket (see inputSources.js)
 const BAUDRATE = 115200;
+let input = new InputManager(BAUDRATE);
+const TRACKED_STREAM = 1; // Stream ID that drives the pen
 
 // Motion tracking variables
 let posX = 0; // Current pen position X
@@ -35,33 +36,24 @@ function setup() {
   posX = 0;
   posY = 0;
 
-  // Initialize serial port
-  port = createSerial();
-
-  // Check for previously approved serial ports
-  let usedPorts = usedSerialPorts();
-  console.log("Previously used ports:", usedPorts);
-
-  if (usedPorts.length > 0) {
-    // Auto-connect to previously used port
-    console.log("Attempting auto-connect to:", usedPorts[0]);
-    port.open(usedPorts[0], BAUDRATE);
-  }
+  // Initialize the input (auto-connects to a previously used serial port)
+  input.begin();
 
   console.log("Press 'S' to connect to serial port");
   console.log("Press 'C' to calibrate and reset to top-left corner");
+  console.log("Press 'M' to start/stop the device simulator");
 }
 
 function draw() {
   // Don't clear background - we want to keep the drawing
   // Only clear if you want to see just the current state
 
-  // Check if port is connected and read data
-  if (port && port.opened()) {
-    let data = port.readUntil("\n");
-    if (data !== null && data.length > 0) {
-      parseSerialMessage(data.trim());
-    }
+  // Read data from the current input (other streams share the link, so keep up with them)
+  input.poll();
+  for (let i = 0; i < 20; i++) {
+    let event = input.next();
+    if (event === null) break;
+    handleEvent(event);
   }
 
   // Update velocity based on acceleration (integration)
@@ -101,19 +93,14 @@ function draw() {
   displayDebugInfo();
 }
 
-// Function to parse incoming serial message
-function parseSerialMessage(message) {
-  // Check if message starts with 'm' (accelerometer data)
-  if (message.startsWith("m1")) {
-    // Extract x, y, z values using regex
-    let xMatch = message.match(/x=([^,\s]+)/);
-    let yMatch = message.match(/y=([^,\s]+)/);
-    let zMatch = message.match(/z=([^,\s]+)/);
+// Function to handle a decoded serial event (text line or binary frame)
+function handleEvent(event) {
 
-    // Extract values or set to null if not found
-    let x = xMatch ? parseFloat(xMatch[1]) : null;
-    let y = yMatch ? parseFloat(yMatch[1]) : null;
-    let z = zMatch ? parseFloat(zMatch[1]) : null;
+  // Only accelerometer data from the tracked stream moves the pen
+  if (event.type === "sample" && event.id === TRACKED_STREAM) {
+    let x = event.x;
+    let y = event.y;
+    let z = event.z;
 
     // Update acceleration values if valid
     if (x !== null && y !== null && z !== null) {
@@ -150,11 +137,7 @@ function windowResized() {
 function keyPressed() {
   if (key === "s" || key === "S") {
     console.log("S key pressed - attempting to open serial port");
-    if (!port.opened()) {
-      port.open(BAUDRATE);
-    } else {
-      console.log("Port already open");
-    }
+    input.useSerial();
   }
 
   if (key === "c" || key === "C") {
@@ -180,6 +163,14 @@ function keyPressed() {
       "Calibrated to: x=" + baselineX + ", y=" + baselineY + ", z=" + baselineZ
     );
   }
+
+  // Device simulator (stream 1 waves the pen around)
+  if (key === "m" || key === "M") {
+    input.toggleSimulator();
+    if (input.getSimulator()) {
+      input.getSimulator().setScenario("wave");
+    }
+  }
 }
 
 // Display debug information
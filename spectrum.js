@@ -0,0 +1,131 @@
+// Spectral analysis
+// Windowed FFT over a stream's recent X/Y/Z samples: tells a slow sway from
+// walking, shaking or a fast tremor. The axes are analysed separately and
+// their power added up, so the result doesn't depend on how the device is
+// held. The sample rate is passed in (measured from the message timing).
+// Has no p5 dependency (loadable from Node like protocol.js).
+
+const SPECTRUM_SIZE = 128; // Samples per FFT (power of 2) - 6.4 s at 20 Hz
+const SPECTRUM_MIN_RMS = 30; // mg - quieter than this is just sensor noise (no dominant frequency)
+
+// Frequency bands (Hz) shown with their share of the motion energy
+const SPECTRUM_BANDS = [
+  { name: "Sway", min: 0, max: 1 }, // Posture, slow tilting
+  { name: "Motion", min: 1, max: 3 }, // Walking, waving, dancing
+  { name: "Fast", min: 3, max: 6 }, // Running, shaking
+  { name: "Tremor", min: 6, max: Infinity }, // Trembling, vibration (up to half the sample rate)
+];
+
+// In-place radix-2 FFT (re/im arrays, length a power of 2)
+function fft(re, im) {
+  let n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size *= 2) {
+    let angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        let cos = Math.cos(angle * k);
+        let sin = Math.sin(angle * k);
+        let a = start + k;
+        let b = a + size / 2;
+        let tRe = re[b] * cos - im[b] * sin;
+        let tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+// Spectrum of the last SPECTRUM_SIZE samples of each axis (arrays of mg),
+// rate = samples per second. Returns null until there are enough samples.
+//   { rate, resolution (Hz per bin), frequencies[], amplitude[] (mg),
+//     rms (mg), dominant (Hz, null when still), bands [{ name, share }] }
+function computeSpectrum(axes, rate) {
+  if (!(rate > 0) || axes[0].length < SPECTRUM_SIZE) return null;
+
+  let n = SPECTRUM_SIZE;
+  let bins = n / 2;
+  let power = new Array(bins).fill(0);
+  let windowSum = 0;
+  let window = [];
+  for (let i = 0; i < n; i++) {
+    window.push(0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1))); // Hann
+    windowSum += window[i];
+  }
+
+  let sumSquares = 0;
+  for (let data of axes) {
+    let samples = data.slice(-n);
+    let mean = samples.reduce((a, b) => a + b, 0) / n; // Remove gravity / offset
+
+    let re = [];
+    let im = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+      let value = samples[i] - mean;
+      sumSquares += value * value;
+      re.push(value * window[i]);
+    }
+    fft(re, im);
+    for (let k = 0; k < bins; k++) {
+      power[k] += re[k] * re[k] + im[k] * im[k];
+    }
+  }
+
+  let resolution = rate / n;
+  let frequencies = [];
+  let amplitude = [];
+  for (let k = 0; k < bins; k++) {
+    frequencies.push(k * resolution);
+    amplitude.push((2 * Math.sqrt(power[k])) / windowSum);
+  }
+
+  // Loudest bin above DC, if there is any real motion at all
+  let rms = Math.sqrt(sumSquares / n);
+  let dominant = null;
+  if (rms >= SPECTRUM_MIN_RMS) {
+    let best = 1;
+    for (let k = 2; k < bins; k++) {
+      if (power[k] > power[best]) best = k;
+    }
+    dominant = frequencies[best];
+  }
+
+  // Share of the energy in each band (DC excluded)
+  let total = power.slice(1).reduce((a, b) => a + b, 0);
+  let bands = SPECTRUM_BANDS.map((band) => {
+    let energy = 0;
+    for (let k = 1; k < bins; k++) {
+      if (frequencies[k] >= band.min && frequencies[k] < band.max) energy += power[k];
+    }
+    return { name: band.name, share: total > 0 ? energy / total : 0 };
+  });
+
+  return {
+    rate: rate,
+    resolution: resolution,
+    frequencies: frequencies,
+    amplitude: amplitude,
+    rms: rms,
+    dominant: dominant,
+    bands: bands,
+  };
+}
+
+// Allow `require("./spectrum.js")` from Node (no effect in the browser)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { SPECTRUM_SIZE, SPECTRUM_BANDS, fft, computeSpectrum };
+}
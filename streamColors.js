@@ -0,0 +1,84 @@
+// Stream color palettes
+// Streams 1-6 keep their original hand-picked colors. Higher IDs get a
+// generated hue (golden-angle spacing, so neighbouring IDs never look alike)
+// and one of three lightness bands, so IDs that land on similar hues still differ.
+// Has no p5 dependency (loadable from Node like protocol.js).
+
+// Main color per stream (motion monitor dots, labels)
+const BASE_STREAM_COLORS = [
+  [100, 150, 255],
+  [100, 255, 150],
+  [255, 180, 100],
+  [200, 150, 255],
+  [255, 150, 180],
+  [255, 230, 100],
+];
+
+// Light/medium/dark shades per stream for the X/Y/Z graph lines
+const BASE_STREAM_GRADIENTS = [
+  // Stream 1: Shades of blue (light to dark)
+  { x: [135, 206, 250], y: [70, 130, 180], z: [25, 25, 112] },
+  // Stream 2: Shades of green (light to dark)
+  { x: [144, 238, 144], y: [60, 179, 113], z: [0, 100, 0] },
+  // Stream 3: Shades of orange (light to dark)
+  { x: [255, 180, 100], y: [255, 140, 60], z: [255, 100, 20] },
+  // Stream 4: Shades of purple (light to dark)
+  { x: [216, 191, 216], y: [147, 112, 219], z: [75, 0, 130] },
+  // Stream 5: Shades of pink (light to dark)
+  { x: [255, 182, 193], y: [255, 105, 180], z: [199, 21, 133] },
+  // Stream 6: Shades of yellow/amber (light to dark)
+  { x: [255, 255, 153], y: [255, 215, 0], z: [218, 165, 32] },
+];
+
+const GOLDEN_ANGLE = 137.508;
+
+// Main [r, g, b] color for a stream ID
+function getStreamColor(id) {
+  if (id >= 1 && id <= BASE_STREAM_COLORS.length) {
+    return BASE_STREAM_COLORS[id - 1];
+  }
+  return hslToRgb(streamHue(id), 0.75, 0.68 + streamShade(id));
+}
+
+// { x, y, z } shades (light to dark) for a stream ID
+function getStreamGradient(id) {
+  if (id >= 1 && id <= BASE_STREAM_GRADIENTS.length) {
+    return BASE_STREAM_GRADIENTS[id - 1];
+  }
+  let hue = streamHue(id);
+  let shade = streamShade(id);
+  return {
+    x: hslToRgb(hue, 0.8, 0.78 + shade),
+    y: hslToRgb(hue, 0.7, 0.55 + shade),
+    z: hslToRgb(hue, 0.75, 0.35 + shade),
+  };
+}
+
+function streamHue(id) {
+  return (id * GOLDEN_ANGLE) % 360;
+}
+
+function streamShade(id) {
+  return [0, -0.1, 0.08][id % 3];
+}
+
+// HSL (h in degrees, s/l 0-1) to [r, g, b] 0-255
+function hslToRgb(h, s, l) {
+  let c = (1 - Math.abs(2 * l - 1)) * s;
+  let hp = h / 60;
+  let x = c * (1 - Math.abs((hp % 2) - 1));
+  let rgb;
+  if (hp < 1) rgb = [c, x, 0];
+  else if (hp < 2) rgb = [x, c, 0];
+  else if (hp < 3) rgb = [0, c, x];
+  else if (hp < 4) rgb = [0, x, c];
+  else if (hp < 5) rgb = [x, 0, c];
+  else rgb = [c, 0, x];
+  let m = l - c / 2;
+  return rgb.map((v) => Math.round((v + m) * 255));
+}
+
+// Allow `require("./streamColors.js")` from Node (no effect in the browser)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { getStreamColor, getStreamGradient, hslToRgb };
+}
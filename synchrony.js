@@ -0,0 +1,169 @@
+// Group synchrony
+// How in sync the participants of a group movement session are: every
+// stream's acceleration magnitude (orientation-free) is put on a common time
+// grid, and each pair of streams is cross-correlated over the last few
+// seconds to find how similar their movement is and how far one trails the
+// other (lag). The group score is the average of the pairwise correlations.
+//
+// Each stream's samples are kept in a SampleStore from sampleStore.js (load
+// it first), which maps device clocks onto the dashboard's clock.
+// Has no p5 dependency (loadable from Node like protocol.js).
+
+const SYNC_WINDOW = 10000; // ms of signal compared
+const SYNC_STEP = 50; // ms between grid points (20 Hz)
+const SYNC_MAX_LAG = 1000; // ms - lags searched either way
+const SYNC_HISTORY = 15000; // ms of samples kept per stream
+const SYNC_MIN_COVERAGE = 0.8; // Share of the window a stream must have samples for
+const SYNC_MIN_MOTION = 30; // mg (std) - a stiller stream has nothing to correlate
+const SYNC_PEAK_TOLERANCE = 0.05; // Correlation peaks this close to the best count as equally good
+const SYNC_LINKED = 0.5; // Correlation from which a pair counts as moving together (for lags / leader)
+
+// Recent magnitude samples of one stream on the dashboard's clock
+class SyncBuffer {
+  constructor() {
+    this.store = new SampleStore(SYNC_HISTORY);
+  }
+
+  reset() {
+    this.store.reset();
+  }
+
+  // One sample (mg), time = sender time (or arrival time), arrival = Date.now()
+  add(x, y, z, time, arrival) {
+    this.store.add([Math.sqrt(x * x + y * y + z * z)], time, arrival);
+  }
+
+  // Latest aligned sample time, or null
+  getLatest() {
+    return this.store.getLatest();
+  }
+
+  // Magnitude at each grid time from start (inclusive) to end, linearly
+  // interpolated, with its mean removed. null if too much of it is missing
+  // or the stream was still.
+  getSeries(start, end) {
+    if (this.store.isEmpty()) return null;
+    let values = this.store.resample(start, end, SYNC_STEP).values[0];
+    let covered = values.filter((v) => v !== null).length;
+    if (values.length === 0 || covered / values.length < SYNC_MIN_COVERAGE) return null;
+
+    // Fill gaps with the neighbouring value, then remove the mean (gravity)
+    let last = values.find((v) => v !== null);
+    values = values.map((v) => (v === null ? last : (last = v)));
+    let mean = values.reduce((a, b) => a + b, 0) / values.length;
+    values = values.map((v) => v - mean);
+
+    let std = Math.sqrt(values.reduce((a, b) => a + b * b, 0) / values.length);
+    return std < SYNC_MIN_MOTION ? null : values;
+  }
+}
+
+// Best correlation of two mean-free series within +-maxLag grid steps:
+// { r (-1..1), lag (steps, positive = b follows a) }. Rhythmic movement
+// correlates again one period later, so of the peaks that are about as high
+// as the best one, the one with the smallest lag wins.
+function correlateSeries(a, b, maxLag) {
+  let values = [];
+  for (let lag = -maxLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    let sumA = 0;
+    let sumB = 0;
+    for (let i = Math.max(0, -lag); i < a.length && i + lag < b.length; i++) {
+      sum += a[i] * b[i + lag];
+      sumA += a[i] * a[i];
+      sumB += b[i + lag] * b[i + lag];
+    }
+    values.push(sumA === 0 || sumB === 0 ? null : sum / Math.sqrt(sumA * sumB));
+  }
+
+  let top = Math.max(...values.filter((r) => r !== null));
+  if (!isFinite(top)) return null;
+
+  let best = null;
+  for (let k = 0; k < values.length; k++) {
+    let r = values[k];
+    if (r === null || r < top - SYNC_PEAK_TOLERANCE) continue;
+    let isPeak = (k === 0 || values[k - 1] === null || r >= values[k - 1]) && (k === values.length - 1 || values[k + 1] === null || r >= values[k + 1]);
+    let lag = k - maxLag;
+    if (isPeak && (best === null || Math.abs(lag) < Math.abs(best.lag))) {
+      best = { r: r, lag: lag };
+    }
+  }
+  return best;
+}
+
+// Pairwise synchrony of streams [{ id, buffer (SyncBuffer) }]:
+//   { ids, cells[i][j] ({ r, lag (ms) } or null), score (0-1 or null),
+//     meanLag (ms between linked pairs, null if none), leader (id or null),
+//     pairs (number compared) }
+// Streams without enough recent movement get null cells.
+function computeSynchrony(streams) {
+  let ids = streams.map((s) => s.id);
+
+  // Common window, ending where every stream has data
+  let latest = streams.map((s) => s.buffer.getLatest()).filter((t) => t !== null);
+  let end = latest.length > 0 ? Math.min(...latest) : 0;
+  let start = end - SYNC_WINDOW;
+  let series = streams.map((s) => s.buffer.getSeries(start, end));
+  let maxLag = Math.round(SYNC_MAX_LAG / SYNC_STEP);
+
+  let cells = ids.map(() => ids.map(() => null));
+  let leadSum = ids.map(() => 0); // How far each stream is ahead of the others
+  let leadCount = ids.map(() => 0);
+  let total = 0;
+  let pairs = 0;
+  let lagTotal = 0;
+  let linked = 0;
+
+  for (let i = 0; i < ids.length; i++) {
+    if (series[i] === null) continue;
+    cells[i][i] = { r: 1, lag: 0 };
+    for (let j = i + 1; j < ids.length; j++) {
+      if (series[j] === null) continue;
+      let best = correlateSeries(series[i], series[j], maxLag);
+      if (best === null) continue;
+
+      let lag = best.lag * SYNC_STEP;
+      cells[i][j] = { r: best.r, lag: lag };
+      cells[j][i] = { r: best.r, lag: -lag };
+      total += Math.max(0, best.r);
+      pairs++;
+
+      // Lags only mean something for pairs that actually move together
+      if (best.r >= SYNC_LINKED) {
+        lagTotal += Math.abs(lag);
+        linked++;
+        leadSum[i] += lag;
+        leadSum[j] -= lag;
+        leadCount[i]++;
+        leadCount[j]++;
+      }
+    }
+  }
+
+  // Leader: the stream the others trail the most (on average, at least one step)
+  let leader = null;
+  let bestLead = SYNC_STEP;
+  for (let i = 0; i < ids.length; i++) {
+    if (leadCount[i] === 0) continue;
+    let lead = leadSum[i] / leadCount[i];
+    if (lead >= bestLead) {
+      bestLead = lead;
+      leader = ids[i];
+    }
+  }
+
+  return {
+    ids: ids,
+    cells: cells,
+    score: pairs > 0 ? total / pairs : null,
+    meanLag: linked > 0 ? lagTotal / linked : null,
+    leader: leader,
+    pairs: pairs,
+  };
+}
+
+// Allow `require("./synchrony.js")` from Node (no effect in the browser)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { SYNC_WINDOW, SyncBuffer, correlateSeries, computeSynchrony };
+}
@@ -0,0 +1,177 @@
+// Tests for BluetoothSource (inputSources.js) against a fake Web Bluetooth
+// GATT layer - no hardware or browser needed. Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert");
+Object.assign(global, require("../protocol.js")); // MAX_TEXT_LINE etc. are globals in the browser
+const { UART_SERVICE, BluetoothSource } = require("../inputSources.js");
+
+// Minimal EventTarget
+class FakeTarget {
+  constructor() {
+    this.listeners = {};
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  dispatch(type, event) {
+    for (let listener of this.listeners[type] || []) listener(event);
+  }
+}
+
+// A micro:bit running microbit-sender-ble.js. fail = "service" or
+// "notifications" makes that step of the connection throw.
+function fakeMicrobit(name, fail) {
+  let device = new FakeTarget();
+  device.name = name;
+
+  let notifier = new FakeTarget();
+  notifier.properties = { notify: true };
+  notifier.startNotifications = async () => {
+    if (fail === "notifications") throw new Error("notifications failed");
+  };
+
+  let writer = { properties: { writeWithoutResponse: true }, written: [] };
+  writer.writeValue = async (bytes) => writer.written.push(new TextDecoder().decode(bytes));
+
+  let server = {
+    getPrimaryService: async (uuid) => {
+      assert.strictEqual(uuid, UART_SERVICE);
+      if (fail === "service") throw new Error("no UART service");
+      return { getCharacteristics: async () => [writer, notifier] };
+    },
+  };
+  device.gatt = {
+    connected: false,
+    connect: async () => {
+      device.gatt.connected = true;
+      return server;
+    },
+    disconnect: () => {
+      if (!device.gatt.connected) return;
+      device.gatt.connected = false;
+      device.dispatch("gattserverdisconnected", {});
+    },
+  };
+
+  // A notification with this text
+  device.notify = (text) => {
+    let bytes = new TextEncoder().encode(text);
+    notifier.dispatch("characteristicvaluechanged", { target: { value: new DataView(bytes.buffer) } });
+  };
+  device.writer = writer;
+  return device;
+}
+
+// navigator.bluetooth whose chooser picks the given devices in turn
+function fakeNavigator(devices) {
+  let bluetooth = {
+    requests: [],
+    requestDevice: async (options) => {
+      bluetooth.requests.push(options);
+      if (devices.length === 0) throw new Error("User cancelled the requestDevice() chooser.");
+      return devices.shift();
+    },
+  };
+  Object.defineProperty(global, "navigator", { value: { bluetooth: bluetooth }, configurable: true, writable: true });
+  return bluetooth;
+}
+
+function readText(source) {
+  return new TextDecoder().decode(source.readBytes());
+}
+
+test("connects through navigator.bluetooth", async () => {
+  let microbit = fakeMicrobit("BBC micro:bit [zogav]");
+  let bluetooth = fakeNavigator([microbit]);
+  let source = new BluetoothSource();
+  source.start();
+
+  assert.strictEqual(source.isOpen(), false);
+  let link = await source.addDevice();
+  assert.ok(link);
+  assert.strictEqual(source.isOpen(), true);
+  assert.deepStrictEqual(bluetooth.requests[0].optionalServices, [UART_SERVICE]);
+  assert.match(source.getStatusText(), /zogav/);
+
+  // Cancelling the chooser doesn't throw
+  assert.strictEqual(await source.addDevice(), null);
+  assert.strictEqual(source.links.length, 1);
+});
+
+test("reassembles notifications into lines per device", async () => {
+  let a = fakeMicrobit("A");
+  let b = fakeMicrobit("B");
+  fakeNavigator([a, b]);
+  let source = new BluetoothSource();
+  source.start();
+  await source.addDevice();
+  await source.addDevice();
+
+  a.notify("m1 x=1 y=");
+  b.notify("m2 x=4 y=5 z=6\r\nm2 x=");
+  a.notify("2 z=3\n");
+  assert.strictEqual(readText(source), "m2 x=4 y=5 z=6\nm1 x=1 y=2 z=3\n");
+  assert.strictEqual(readText(source), "");
+
+  b.notify("7 y=8 z=9\n");
+  assert.strictEqual(readText(source), "m2 x=7 y=8 z=9\n");
+
+  // Data is dropped while another source is active
+  source.stop();
+  a.notify("m1 x=0 y=0 z=0\n");
+  source.start();
+  assert.strictEqual(readText(source), "");
+});
+
+test("writes commands to every device in 20 byte pieces", async () => {
+  let a = fakeMicrobit("A");
+  let b = fakeMicrobit("B");
+  fakeNavigator([a, b]);
+  let source = new BluetoothSource();
+  await source.addDevice();
+  await source.addDevice();
+
+  let line = "@* rate 100 and some more text\n";
+  assert.strictEqual(source.write(line), true);
+  await Promise.all(source.links.map((l) => l.queue));
+  for (let device of [a, b]) {
+    assert.ok(device.writer.written.every((piece) => piece.length <= 20));
+    assert.strictEqual(device.writer.written.join(""), line);
+  }
+});
+
+test("forgets a device when it disconnects", async () => {
+  let a = fakeMicrobit("A");
+  let b = fakeMicrobit("B");
+  fakeNavigator([a, b]);
+  let source = new BluetoothSource();
+  await source.addDevice();
+  await source.addDevice();
+
+  a.gatt.disconnect();
+  assert.deepStrictEqual(source.links.map((l) => l.device.name), ["B"]);
+  b.gatt.disconnect();
+  assert.strictEqual(source.isOpen(), false);
+  assert.strictEqual(source.write("@* stop\n"), false);
+});
+
+test("closes the GATT connection when the UART can't be set up", async () => {
+  for (let fail of ["service", "notifications"]) {
+    let microbit = fakeMicrobit("A", fail);
+    fakeNavigator([microbit]);
+    let source = new BluetoothSource();
+
+    assert.strictEqual(await source.addDevice(), null, fail);
+    assert.strictEqual(microbit.gatt.connected, false, fail);
+    assert.strictEqual(source.isOpen(), false, fail);
+  }
+});
+
+test("reports a browser without Web Bluetooth", async () => {
+  let source = new BluetoothSource();
+  source.bluetooth = null;
+  assert.strictEqual(await source.addDevice(), null);
+});
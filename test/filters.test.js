@@ -0,0 +1,49 @@
+// Tests for the filter pipeline config handling (filters.js). Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { FilterPipeline } = require("../filters.js");
+
+test("configs are clamped like editor changes", () => {
+  let pipeline = new FilterPipeline([
+    { type: "median", params: { window: 4 } },
+    { type: "median", params: { window: 0 } },
+    { type: "average", params: { window: 7.6 } },
+    { type: "ema", params: { alpha: 5 } },
+    { type: "lowpass", params: { cutoff: -1, rate: 1000 } },
+  ]);
+  assert.deepStrictEqual(pipeline.getConfig(), [
+    { type: "median", params: { window: 5 } },
+    { type: "median", params: { window: 3 } },
+    { type: "average", params: { window: 8 } },
+    { type: "ema", params: { alpha: 1 } },
+    { type: "lowpass", params: { cutoff: 0.1, rate: 200 } },
+  ]);
+});
+
+test("broken params fall back to the defaults", () => {
+  let pipeline = new FilterPipeline([
+    { type: "ema", params: { alpha: "0.5" } },
+    { type: "kalman", params: { q: null, r: NaN } },
+    { type: "median" },
+    null,
+    { type: "nope", params: {} },
+  ]);
+  assert.deepStrictEqual(pipeline.getConfig(), [
+    { type: "ema", params: { alpha: 0.2 } },
+    { type: "kalman", params: { q: 1, r: 100 } },
+    { type: "median", params: { window: 5 } },
+  ]);
+
+  // The chain still filters
+  let out = pipeline.process(100, 200, 300, 0);
+  assert.ok([out.x, out.y, out.z].every(isFinite));
+});
+
+test("setParam keeps median windows odd and in range", () => {
+  let pipeline = new FilterPipeline([{ type: "median", params: { window: 5 } }]);
+  pipeline.setParam(0, "window", 8);
+  assert.strictEqual(pipeline.stages[0].params.window, 9);
+  pipeline.setParam(0, "window", 100);
+  assert.strictEqual(pipeline.stages[0].params.window, 31);
+});
@@ -0,0 +1,78 @@
+// Tests for saving / importing trained gestures (gestureTrainer.js). Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { GestureTrainer, GestureMatcher } = require("../gestureTrainer.js");
+
+// In-memory localStorage
+function fakeStorage() {
+  let items = {};
+  global.localStorage = {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => (items[key] = String(value)),
+  };
+  return items;
+}
+
+// A wave: side to side on X, `count` samples [x, y, z]
+function wave(count, scale) {
+  let points = [];
+  for (let i = 0; i < count; i++) {
+    points.push([Math.round(800 * scale * Math.sin((i / count) * 4 * Math.PI)), 0, -1000]);
+  }
+  return points;
+}
+
+function gesturesFile(examples) {
+  return JSON.stringify({ version: 1, gestures: [{ name: "wave", examples: examples }] });
+}
+
+test("imports an exported gestures file and saves it", () => {
+  let items = fakeStorage();
+  let trainer = new GestureTrainer();
+  assert.strictEqual(trainer.importJSON(gesturesFile([wave(30, 1), wave(28, 0.9)])), 1);
+  assert.strictEqual(trainer.find("wave").examples.length, 2);
+
+  // A new trainer (page reload) reads it back
+  assert.strictEqual(new GestureTrainer().find("wave").examples.length, 2);
+  assert.ok(items["oskarbit-gestures"]);
+});
+
+test("a file without gestures changes nothing", () => {
+  fakeStorage();
+  let trainer = new GestureTrainer();
+  trainer.importJSON(gesturesFile([wave(30, 1)]));
+
+  for (let text of ["{}", "[]", "null", '{"gestures": {}}', "not json"]) {
+    assert.throws(() => trainer.importJSON(text), text);
+  }
+  assert.strictEqual(trainer.find("wave").examples.length, 1);
+  assert.strictEqual(new GestureTrainer().find("wave").examples.length, 1);
+});
+
+test("examples with broken points are dropped", () => {
+  fakeStorage();
+  let trainer = new GestureTrainer();
+  let missing = wave(30, 1);
+  missing[3] = [1, 2];
+  let text = wave(30, 1);
+  text[5] = ["1", 0, -1000];
+  let empty = wave(30, 1);
+  empty[7] = [null, 0, -1000]; // NaN / Infinity are saved as null
+
+  trainer.importJSON(gesturesFile([wave(30, 1), missing, text, empty]));
+  assert.strictEqual(trainer.find("wave").examples.length, 1);
+  assert.ok(trainer.find("wave").examples[0].every((p) => isFinite(p.x) && isFinite(p.y) && isFinite(p.z)));
+});
+
+test("the matcher never reports a NaN confidence", () => {
+  fakeStorage();
+  let trainer = new GestureTrainer();
+  trainer.importJSON(gesturesFile([wave(30, 1), wave(30, 1.1)]));
+  trainer.match = () => ({ name: "wave", confidence: NaN, distance: NaN });
+
+  let matcher = new GestureMatcher();
+  for (let t = 0; t < 3000; t += 50) {
+    assert.strictEqual(matcher.update(0, 0, -1000, t, trainer), null);
+  }
+});
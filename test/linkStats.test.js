@@ -0,0 +1,104 @@
+// Tests for link quality tracking (linkStats.js). Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { LINK_WINDOW, RSSI_WEAK, LinkStats } = require("../linkStats.js");
+
+// Record packets with these sequence numbers, 50 ms apart on both clocks
+function feed(link, seqs, start) {
+  let t = start || 0;
+  for (let seq of seqs) {
+    link.record(seq, t, 1000 + t);
+    t += 50;
+  }
+  return t;
+}
+
+test("sequence gaps count as lost packets", () => {
+  let link = new LinkStats();
+  feed(link, [1, 2, 3, 6, 7, 8, 9, 10]); // 4 and 5 missing
+  assert.strictEqual(link.lost, 2);
+  assert.strictEqual(link.received, 8);
+  assert.strictEqual(link.getLossRate(), 2 / 9);
+  assert.ok(link.hasSequence());
+});
+
+test("duplicates are ignored", () => {
+  let link = new LinkStats();
+  feed(link, [1, 2, 2, 3]);
+  assert.strictEqual(link.received, 3);
+  assert.strictEqual(link.lost, 0);
+});
+
+test("the counter wrapping at 16 bits is not a loss", () => {
+  let link = new LinkStats();
+  feed(link, [65533, 65534, 65535, 0, 1, 3]);
+  assert.strictEqual(link.lost, 1); // Only 2 is missing
+  assert.strictEqual(link.getLossRate(), 1 / 6);
+});
+
+test("a sender restart starts the window over without counting a loss", () => {
+  let link = new LinkStats();
+  let t = feed(link, [500, 501, 503]);
+  assert.strictEqual(link.lost, 1);
+  feed(link, [0, 1, 2], t);
+  assert.strictEqual(link.lost, 1);
+  assert.strictEqual(link.getLossRate(), 0);
+  assert.strictEqual(link.recent.length, 3);
+});
+
+test("the loss rate only covers the recent window", () => {
+  let link = new LinkStats();
+  let seqs = [1, 5]; // 3 lost at the start
+  for (let seq = 6; seq < 6 + LINK_WINDOW; seq++) seqs.push(seq);
+  feed(link, seqs);
+  assert.strictEqual(link.lost, 3);
+  assert.strictEqual(link.getLossRate(), 0);
+});
+
+test("sample rate follows the sender clock when there is one", () => {
+  let link = new LinkStats();
+  for (let i = 0; i < 21; i++) {
+    link.record(i, i * 50, 1000 + Math.floor(i / 5) * 250); // Arrivals bunched in fives
+  }
+  assert.strictEqual(link.getSampleRate(), 20);
+
+  let old = new LinkStats();
+  for (let i = 0; i < 11; i++) old.record(null, null, 1000 + i * 100);
+  assert.strictEqual(old.getSampleRate(), 10);
+  assert.ok(!old.hasSequence());
+});
+
+test("jitter is zero for steady packets and grows with uneven arrivals", () => {
+  let steady = new LinkStats();
+  feed(steady, [1, 2, 3, 4, 5, 6]);
+  assert.strictEqual(steady.jitter, 0);
+
+  let uneven = new LinkStats();
+  for (let i = 0; i < 20; i++) {
+    uneven.record(i, i * 50, 1000 + i * 50 + (i % 2) * 30); // Every other packet 30 ms late
+  }
+  assert.ok(uneven.jitter > 10, `jitter ${uneven.jitter}`);
+
+  let old = new LinkStats();
+  for (let i = 0; i < 20; i++) old.record(null, null, 1000 + i * 50 + (i % 2) * 30);
+  assert.ok(old.jitter > 10, `jitter ${old.jitter}`);
+});
+
+test("signal strength is a rolling average with bars and a weak warning", () => {
+  let link = new LinkStats();
+  assert.strictEqual(link.getSignalStrength(), null);
+  assert.strictEqual(link.getSignalBars(), null);
+  assert.ok(!link.isWeakSignal());
+
+  link.recordSignal(-60);
+  link.recordSignal(-70);
+  link.recordSignal(null); // Receiver didn't report it
+  assert.strictEqual(link.getSignalStrength(), -65);
+  assert.strictEqual(link.getSignalBars(), 3);
+
+  for (let i = 0; i < 20; i++) link.recordSignal(RSSI_WEAK - 10);
+  assert.strictEqual(link.getSignalStrength(), RSSI_WEAK - 10); // Older readings dropped
+  assert.strictEqual(link.getSignalBars(), 0);
+  assert.ok(link.isWeakSignal());
+});
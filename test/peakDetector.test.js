@@ -0,0 +1,36 @@
+// Tests for step / repetition counting (peakDetector.js). Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { PeakDetector } = require("../peakDetector.js");
+
+// Feed `seconds` of 20 Hz samples with one peak of `height` mg per `period`
+// ms, starting at time `t`. Returns the time after it and the peaks counted.
+function feed(detector, t, seconds, height, period) {
+  let counted = 0;
+  for (let end = t + seconds * 1000; t < end; t += 50) {
+    let phase = (t % period) / period;
+    let bump = phase < 0.2 ? height * Math.sin((phase / 0.2) * Math.PI) : 0;
+    if (detector.update(0, 0, 1000 + bump, t, 10)) counted++;
+  }
+  return { t: t, counted: counted };
+}
+
+test("counts gentle walking and hard jumping once per peak", () => {
+  let detector = new PeakDetector();
+  let walk = feed(detector, 0, 10, 600, 500);
+  assert.ok(walk.counted >= 19, `walking counted ${walk.counted}`);
+  let jump = feed(detector, walk.t, 10, 3000, 500);
+  assert.strictEqual(jump.counted, 20);
+  assert.strictEqual(detector.getCadence(jump.t), 120);
+});
+
+test("walking counts again after jumping", () => {
+  let detector = new PeakDetector();
+  let jump = feed(detector, 0, 10, 3000, 500);
+  let walk = feed(detector, jump.t, 30, 600, 500);
+
+  // The threshold fades back within a few seconds - nearly all 60 steps count
+  assert.ok(walk.counted >= 50, `walking counted ${walk.counted}`);
+  assert.ok(detector.getThreshold(10) < 600 * 0.5);
+});
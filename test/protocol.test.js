@@ -0,0 +1,175 @@
+// Tests for the shared line parser (protocol.js)
+// Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseLine, decodeBinaryPayload, FrameDecoder } = require("../protocol.js");
+
+// All events a decoder has ready
+function drain(decoder) {
+  let events = [];
+  let event;
+  while ((event = decoder.next()) !== null) events.push(event);
+  return events;
+}
+
+// [0xA5][len][payload][checksum]
+function frame(payload) {
+  let checksum = payload.reduce((sum, b) => (sum + b) & 0xff, payload.length);
+  return [0xa5, payload.length, ...payload, checksum];
+}
+
+// 14-byte sample payload (+ optional receiver RSSI byte)
+function samplePayload(id, seq, time, x, y, z, rssi) {
+  let payload = new Uint8Array(rssi === undefined ? 14 : 15);
+  let view = new DataView(payload.buffer);
+  view.setUint8(0, 0x01);
+  view.setUint8(1, id);
+  view.setUint16(2, seq, true);
+  view.setUint32(4, time, true);
+  view.setInt16(8, x, true);
+  view.setInt16(10, y, true);
+  view.setInt16(12, z, true);
+  if (rssi !== undefined) view.setInt8(14, rssi);
+  return payload;
+}
+
+test("legacy registration line", () => {
+  assert.deepStrictEqual(parseLine("S1"), { type: "registration", id: 1, serial: null, rssi: null, raw: "S1" });
+});
+
+test("legacy data line", () => {
+  assert.deepStrictEqual(parseLine("m1 x=123 y=-456 z=789"), {
+    type: "sample",
+    id: 1,
+    x: 123,
+    y: -456,
+    z: 789,
+    seq: null,
+    time: null,
+    rssi: null,
+    raw: "m1 x=123 y=-456 z=789",
+  });
+});
+
+test("optional fields on data lines", () => {
+  let event = parseLine("m12 x=1 y=2 z=3 n=42 t=183020 r=-67\r");
+  assert.strictEqual(event.type, "sample");
+  assert.strictEqual(event.id, 12);
+  assert.strictEqual(event.seq, 42);
+  assert.strictEqual(event.time, 183020);
+  assert.strictEqual(event.rssi, -67);
+  assert.strictEqual(event.raw, "m12 x=1 y=2 z=3 n=42 t=183020 r=-67");
+
+  // Comma separated fields parse too
+  assert.strictEqual(parseLine("m3 x=1,y=2,z=3").z, 3);
+});
+
+test("optional fields on other line types", () => {
+  assert.strictEqual(parseLine("S7 s=-1834027 r=-50").serial, -1834027);
+
+  let sensors = parseLine("e1 h=215 b=1");
+  assert.strictEqual(sensors.type, "sensors");
+  assert.strictEqual(sensors.heading, 215);
+  assert.strictEqual(sensors.buttonA, null);
+  assert.strictEqual(sensors.buttonB, 1);
+
+  let button = parseLine("b2 AB t=500");
+  assert.strictEqual(button.type, "button");
+  assert.strictEqual(button.button, "AB");
+  assert.strictEqual(button.time, 500);
+});
+
+test("malformed lines", () => {
+  let cases = [
+    ["", "empty line"],
+    ["m1 x=1 y=2", "missing z"],
+    ["m1 x=1 y=abc z=3", "y is not a number"],
+    ["m1 x=12abc y=2 z=3", "x is not a number"],
+    ["m1 x=1 y=2 z=3 t=", "t is not a number"],
+    ["m0 x=1 y=2 z=3", "stream id 0 out of range"],
+    ["S256", "stream id 256 out of range"],
+    ["b1 C", "unknown button C"],
+  ];
+  for (let [line, reason] of cases) {
+    assert.deepStrictEqual(
+      { type: parseLine(line).type, reason: parseLine(line).reason },
+      { type: "malformed", reason: reason },
+      line
+    );
+  }
+  assert.strictEqual(parseLine(null).type, "malformed");
+});
+
+test("other text is unknown", () => {
+  assert.deepStrictEqual(parseLine("Receiver ready"), { type: "unknown", raw: "Receiver ready" });
+  assert.strictEqual(parseLine("Sx").type, "unknown");
+  assert.strictEqual(parseLine("m1x=1").type, "unknown");
+});
+
+test("decodeBinaryPayload reads a sample", () => {
+  let event = decodeBinaryPayload(samplePayload(5, 65535, 183020, -1000, 20, 1023, -67));
+  assert.deepStrictEqual(event, {
+    type: "sample",
+    id: 5,
+    seq: 65535,
+    time: 183020,
+    x: -1000,
+    y: 20,
+    z: 1023,
+    rssi: -67,
+    raw: "m5 x=-1000 y=20 z=1023 n=65535 t=183020 r=-67",
+  });
+
+  // Without the receiver's RSSI byte
+  assert.strictEqual(decodeBinaryPayload(samplePayload(5, 1, 2, 3, 4, 5)).rssi, null);
+});
+
+test("decodeBinaryPayload rejects broken payloads", () => {
+  let wrongType = samplePayload(5, 1, 2, 3, 4, 5);
+  wrongType[0] = 0x02;
+  assert.strictEqual(decodeBinaryPayload(wrongType).reason, "unknown frame type 2");
+  assert.strictEqual(decodeBinaryPayload(samplePayload(5, 1, 2, 3, 4, 5).slice(0, 10)).reason, "sample frame has 10 bytes");
+  assert.strictEqual(decodeBinaryPayload(samplePayload(0, 1, 2, 3, 4, 5)).reason, "stream id 0 out of range");
+});
+
+test("FrameDecoder splits mixed text and binary frames across pushes", () => {
+  let bytes = [
+    ...Buffer.from("S1\r\nm1 x=1 y=2 z=3\n"),
+    ...frame(samplePayload(2, 7, 1000, 10, 20, 30)),
+    ...Buffer.from("m1 x=4 y=5 z=6\n"),
+  ];
+  let decoder = new FrameDecoder();
+  let events = [];
+  for (let i = 0; i < bytes.length; i += 5) {
+    decoder.push(bytes.slice(i, i + 5));
+    events.push(...drain(decoder));
+  }
+  assert.deepStrictEqual(
+    events.map((e) => e.raw),
+    ["S1", "m1 x=1 y=2 z=3", "m2 x=10 y=20 z=30 n=7 t=1000", "m1 x=4 y=5 z=6"]
+  );
+});
+
+test("FrameDecoder drops corrupt frames and resyncs after garbage", () => {
+  let bad = frame(samplePayload(2, 7, 1000, 10, 20, 30));
+  bad[bad.length - 1] ^= 0xff;
+  let decoder = new FrameDecoder();
+  decoder.push([...bad, 0xa5, 0xa5, 0xa5, ...Buffer.from("m3 x=1 y=1 z=1\n")]);
+  let events = drain(decoder);
+  assert.strictEqual(events[0].reason, "bad checksum");
+  assert.strictEqual(events[events.length - 1].raw, "m3 x=1 y=1 z=1");
+});
+
+test("FrameDecoder works through a large backlog in one push", () => {
+  let bytes = [];
+  for (let i = 0; i < 5000; i++) {
+    bytes.push(...frame(samplePayload(1, i, i * 50, i % 100, 0, 1000)));
+    bytes.push(...new Array(20).fill(0xa5)); // Garbage that resyncs one byte at a time
+  }
+  let decoder = new FrameDecoder();
+  decoder.push(bytes);
+  let samples = drain(decoder).filter((e) => e.type === "sample");
+  assert.strictEqual(samples.length, 5000);
+  assert.strictEqual(samples[4999].seq, 4999);
+});
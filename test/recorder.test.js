@@ -0,0 +1,76 @@
+// Tests for session recording through the InputManager (inputSources.js,
+// recorder.js). Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert");
+Object.assign(global, require("../protocol.js")); // FrameDecoder etc. are globals in the browser
+const { InputManager } = require("../inputSources.js");
+const { SessionRecorder } = require("../recorder.js");
+
+// Source that delivers the given bytes on the next readBytes()
+function fakeSource() {
+  return {
+    kind: "serial",
+    pending: [],
+    start() {},
+    stop() {},
+    isOpen: () => true,
+    readBytes() {
+      let bytes = Uint8Array.from(this.pending);
+      this.pending = [];
+      return bytes;
+    },
+  };
+}
+
+function startRecording() {
+  let recorder = new SessionRecorder();
+  let log = console.log;
+  console.log = () => {};
+  recorder.start();
+  console.log = log;
+  return recorder;
+}
+
+test("lines are recorded at arrival, before the sketch takes them", (t) => {
+  let input = new InputManager(115200);
+  let source = fakeSource();
+  let recorder = startRecording();
+  input.setRecorder(recorder);
+  input.use(source);
+
+  t.mock.method(Date, "now", () => 1000);
+  source.pending = [...Buffer.from("m1 x=1 y=2 z=3\nm1 x=4 y=5 z=6\nm1 x=7 y=8 z=9\n")];
+  input.poll();
+  assert.strictEqual(input.next().raw, "m1 x=1 y=2 z=3"); // The sketch only takes one per frame
+
+  Date.now.mock.mockImplementation(() => 1500);
+  source.pending = [...Buffer.from("m1 x=0 y=0 z=0\n")];
+  input.poll();
+  assert.deepStrictEqual(
+    recorder.entries.map((e) => e.t),
+    [1000, 1000, 1000, 1500]
+  );
+  assert.strictEqual(input.next().raw, "m1 x=4 y=5 z=6");
+  assert.strictEqual(input.next().raw, "m1 x=7 y=8 z=9");
+  assert.strictEqual(input.next().raw, "m1 x=0 y=0 z=0");
+  assert.strictEqual(input.next(), null);
+});
+
+test("broken lines and frames are recorded too", () => {
+  let input = new InputManager(115200);
+  let source = fakeSource();
+  let recorder = startRecording();
+  input.setRecorder(recorder);
+  input.use(source);
+
+  let badFrame = [FRAME_SYNC, 2, 0x01, 0x02, 0x00];
+  source.pending = [...Buffer.from("m1 x=1 y=oops z=3\n"), ...badFrame];
+  input.poll();
+  assert.deepStrictEqual(
+    recorder.entries.map((e) => e.line),
+    ["m1 x=1 y=oops z=3", "frame a5 02 01 02 00"]
+  );
+  assert.strictEqual(input.next().type, "malformed");
+  assert.strictEqual(input.next().reason, "bad checksum");
+});
@@ -0,0 +1,62 @@
+// Tests for the time-aware sample store (sampleStore.js). Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { SampleStore } = require("../sampleStore.js");
+
+// synchrony.js expects SampleStore as a global, as in the browser
+global.SampleStore = SampleStore;
+const { SyncBuffer } = require("../synchrony.js");
+
+test("a smaller delay seen later moves every sample alike", () => {
+  let store = new SampleStore();
+  store.add([0], 1000, 1080); // 80 ms delay
+  store.add([1], 1050, 1060); // 10 ms delay
+  assert.strictEqual(store.getLatest(), 1060);
+  let view = store.resample(1010, 1060, 10);
+  assert.deepStrictEqual(view.times, [1010, 1020, 1030, 1040, 1050, 1060]);
+  assert.deepStrictEqual(
+    view.values[0].map((v) => Math.round(v * 10) / 10),
+    [0, 0.2, 0.4, 0.6, 0.8, 1]
+  );
+  assert.deepStrictEqual(view.gaps, []);
+});
+
+test("late messages are put back in place", () => {
+  let store = new SampleStore();
+  store.add([0], 0, 0);
+  store.add([20], 100, 100);
+  store.add([10], 50, 200);
+  assert.deepStrictEqual(store.resample(0, 100, 25).values[0], [0, 5, 10, 15, 20]);
+});
+
+test("long silences are gaps, including after the latest sample", () => {
+  let store = new SampleStore();
+  for (let t = 0; t <= 500; t += 50) store.add([1], t, t);
+  for (let t = 1500; t <= 2000; t += 50) store.add([2], t, t);
+  let view = store.resample(-100, 2500, 100);
+  assert.strictEqual(view.values[0][0], null); // Before the first sample: no data, no gap
+  assert.strictEqual(view.values[0][5], 1);
+  assert.strictEqual(view.values[0][21], 2);
+  assert.strictEqual(view.gaps.length, 2);
+  assert.deepStrictEqual(view.gaps[0], { start: 500, end: 1400 });
+  assert.strictEqual(view.gaps[1].end, 2500); // Stopped sending
+  assert.ok(view.gaps[1].start > 2000);
+});
+
+test("a sender restart carries on from its arrival", () => {
+  let store = new SampleStore();
+  for (let t = 5000; t <= 6000; t += 100) store.add([1], t, t + 20);
+  let before = store.getLatest();
+  store.add([2], 0, 6120); // Sender clock went back to 0
+  assert.strictEqual(store.getLatest(), 6120);
+  let view = store.resample(before, 6120, 100);
+  assert.deepStrictEqual(view.values[0], [1, 2]);
+});
+
+test("the sync buffer reads with the current offset too", () => {
+  let buffer = new SyncBuffer();
+  buffer.add(0, 0, 1000, 1000, 1080);
+  buffer.add(0, 0, 1000, 1050, 1060);
+  assert.strictEqual(buffer.getLatest(), 1060);
+});
@@ -0,0 +1,30 @@
+// Tests for the device simulator (simulator.js). Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { DeviceSimulator } = require("../simulator.js");
+
+// Lines generated for one simulated second, after the registrations at start
+function linesPerSecond(options) {
+  let simulator = new DeviceSimulator(Object.assign({ streams: 1, scenario: "still", seed: 1 }, options));
+  let log = console.log;
+  console.log = () => {};
+  simulator.start(0);
+  console.log = log;
+  simulator.update(0);
+  return simulator.update(1000).length;
+}
+
+test("generates samples at the requested rate", () => {
+  assert.strictEqual(linesPerSecond({ rate: 20 }), 20);
+  assert.strictEqual(linesPerSecond({ rate: 50 }), 50);
+});
+
+test("bad rates fall back to the default or are clamped", () => {
+  assert.strictEqual(linesPerSecond({ rate: -5 }), 20);
+  assert.strictEqual(linesPerSecond({ rate: 0 }), 20);
+  assert.strictEqual(linesPerSecond({ rate: NaN }), 20);
+  assert.strictEqual(linesPerSecond({ rate: Infinity }), 20);
+  assert.strictEqual(linesPerSecond({ rate: 0.01 }), 1);
+  assert.strictEqual(linesPerSecond({ rate: 100000 }), 100);
+});